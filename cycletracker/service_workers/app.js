@@ -3,89 +3,1405 @@
 // -------------
 // Variable declarations
 // -------------
-const newPeriodFormEl = document.getElementsByTagName("form")[0];
+const appEl = document.getElementById("app");
+const unlockSectionEl = document.getElementById("unlock");
+const unlockFormEl = document.getElementById("unlock-form");
+const unlockInputEl = document.getElementById("unlock-passphrase");
+const newPeriodFormEl = document.getElementById("new-period");
 const startDateInputEl = document.getElementById("start-date");
 const endDateInputEl = document.getElementById("end-date");
+const newPeriodStatusEl = document.getElementById("new-period-status");
 const pastPeriodContainer = document.getElementById("past-periods");
+const statsContainer = document.getElementById("cycle-stats");
+const undoStatusEl = document.getElementById("undo-status");
+const periodsStatusEl = document.getElementById("periods-status");
+const passphraseFormEl = document.getElementById("passphrase-form");
+const passphraseStateEl = document.getElementById("passphrase-state");
+const passphraseStatusEl = document.getElementById("passphrase-status");
+const currentPassphraseFieldEl = document.getElementById(
+  "current-passphrase-field",
+);
+const currentPassphraseInputEl = document.getElementById("current-passphrase");
+const newPassphraseInputEl = document.getElementById("new-passphrase");
+const confirmPassphraseInputEl = document.getElementById("confirm-passphrase");
+const setPassphraseButton = document.getElementById("set-passphrase");
+const removePassphraseButton = document.getElementById("remove-passphrase");
+const lockNowButton = document.getElementById("lock-now");
+const exportButtons = document.querySelectorAll("[data-export-format]");
+const importInputEl = document.getElementById("import-file");
+const importSummaryEl = document.getElementById("import-summary");
+const localeSelectEl = document.getElementById("locale-select");
+const dayLogFormEl = document.getElementById("day-log");
+const dayLogDateInputEl = document.getElementById("log-date");
+const dayLogFlowSelectEl = document.getElementById("log-flow");
+const dayLogSymptomsEl = document.getElementById("log-symptoms");
+const dayLogMoodSelectEl = document.getElementById("log-mood");
+const dayLogNoteInputEl = document.getElementById("log-note");
+const deleteDayLogButton = document.getElementById("delete-day-log");
+const dayLogStatusEl = document.getElementById("day-log-status");
+const symptomListEl = document.getElementById("symptom-list");
+const symptomFormEl = document.getElementById("symptom-form");
+const newSymptomInputEl = document.getElementById("new-symptom");
+const updateBannerEl = document.getElementById("update-banner");
+const updateMessageEl = document.getElementById("update-message");
+const updateReloadButton = document.getElementById("update-reload");
+const reminderFormEl = document.getElementById("reminder-form");
+const remindUpcomingInputEl = document.getElementById("remind-upcoming");
+const reminderDaysBeforeInputEl = document.getElementById(
+  "reminder-days-before",
+);
+const remindMissingInputEl = document.getElementById("remind-missing");
+const reminderStatusEl = document.getElementById("reminder-status");
 
-// Storage key is an app-wide constant
-const STORAGE_KEY = "period-tracker";
+// How long a deleted period can be restored for
+const UNDO_TIMEOUT = 10000;
+// How long to wait for a service worker to say its version
+const WORKER_VERSION_TIMEOUT = 3000;
+let undoTimer = null;
+// Deleted periods that can still be put back, most recent last
+let deletedPeriods = [];
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// Which past period view was chosen last, "list" or "calendar".
+// Only a display preference, so it's fine in localStorage.
+const VIEW_STORAGE_KEY = "period-tracker-view";
+// The periods from the last renderAll(), so the calendar can be
+// redrawn while navigating without going back to the database
+let currentPeriods = [];
+let currentDayLogs = [];
+let currentSymptoms = DEFAULT_SYMPTOMS;
+// The installed service worker waiting to take over, and its VERSION
+let waitingWorker = null;
+let waitingVersion = "";
+// Set by the Reload button, so only an update the user asked for reloads
+let reloadOnControllerChange = false;
+let calendarFocusDate = getTodayString();
+// What a shortcut, reminder or shared file opened the app to do,
+// kept until the app is unlocked
+let pendingLaunch = null;
+// Where the service worker leaves a file shared into the app (see sw.js)
+const SHARE_CACHE_NAME = "period-tracker-share";
+const SHARED_FILE_URL = "shared-file";
 
 // -------------
 // Event Handlers
 // -------------
-newPeriodFormEl.addEventListener("submit", (event) => {
+newPeriodFormEl.addEventListener("submit", async (event) => {
   event.preventDefault();
   const startDate = startDateInputEl.value;
   const endDate = endDateInputEl.value;
-  if (checkDatesInvalid(startDate, endDate)) {
+  const fields = { startDate: startDateInputEl, endDate: endDateInputEl };
+  newPeriodStatusEl.textContent = "";
+  try {
+    if (await checkDatesInvalid({ startDate, endDate }, fields)) {
+      return;
+    }
+    await storeNewPeriod(startDate, endDate);
+    await renderAll();
+  } catch (error) {
+    // Leave the dates in place so they can be saved again
+    console.error("Couldn't save period:", error);
+    newPeriodStatusEl.textContent = t("errorSaveFailed");
     return;
   }
-  storeNewPeriod(startDate, endDate);
-  renderPastPeriods();
   newPeriodFormEl.reset();
 });
 
+[
+  startDateInputEl,
+  endDateInputEl,
+  dayLogDateInputEl,
+  unlockInputEl,
+  currentPassphraseInputEl,
+  newPassphraseInputEl,
+  confirmPassphraseInputEl,
+].forEach((inputEl) => {
+  inputEl.addEventListener("input", () => clearFieldError(inputEl));
+});
+
+unlockFormEl.addEventListener("submit", async (event) => {
+  event.preventDefault();
+  clearFieldError(unlockInputEl);
+  if (!(await unlock(unlockInputEl.value))) {
+    showFieldError(unlockInputEl, t("wrongPassphrase"));
+    unlockInputEl.focus();
+    return;
+  }
+  unlockFormEl.reset();
+  showApp();
+});
+
+passphraseFormEl.addEventListener("submit", async (event) => {
+  event.preventDefault();
+  try {
+    if (!(await checkPassphraseFormInvalid(true))) {
+      await setPassphrase(newPassphraseInputEl.value);
+      finishPassphraseChange(t("passphraseSet"));
+    }
+  } catch (error) {
+    console.error("Couldn't set passphrase:", error);
+    passphraseStatusEl.textContent = t("errorPassphraseFailed");
+  }
+});
+
+removePassphraseButton.addEventListener("click", async () => {
+  try {
+    if (
+      !(await checkPassphraseFormInvalid(false)) &&
+      window.confirm(t("confirmRemovePassphrase"))
+    ) {
+      await removePassphrase();
+      finishPassphraseChange(t("passphraseRemoved"));
+    }
+  } catch (error) {
+    console.error("Couldn't remove passphrase:", error);
+    passphraseStatusEl.textContent = t("errorPassphraseFailed");
+  }
+});
+
+lockNowButton.addEventListener("click", () => {
+  lock();
+  showUnlockScreen();
+});
+
+dayLogDateInputEl.addEventListener("change", () => {
+  fillDayLogForm(dayLogDateInputEl.value);
+});
+
+dayLogFormEl.addEventListener("submit", async (event) => {
+  event.preventDefault();
+  await storeDayLogForm();
+});
+
+deleteDayLogButton.addEventListener("click", async () => {
+  const date = dayLogDateInputEl.value;
+  const existing = findDayLog(date);
+  if (existing) {
+    await deleteDayLog(existing.id);
+    await renderAll();
+    fillDayLogForm(date);
+    dayLogStatusEl.textContent = t("dayLogDeleted", { date: formatDate(date) });
+  }
+});
+
+symptomFormEl.addEventListener("submit", async (event) => {
+  event.preventDefault();
+  await saveSymptomList(
+    addSymptom(currentSymptoms, newSymptomInputEl.value, (symptom) =>
+      getSymptomLabel(symptom.id),
+    ),
+  );
+  symptomFormEl.reset();
+  await renderAll();
+});
+
+updateReloadButton.addEventListener("click", () => {
+  if (!waitingWorker) {
+    return;
+  }
+  // Reload once the new worker has taken control (see registerServiceWorker)
+  updateReloadButton.disabled = true;
+  reloadOnControllerChange = true;
+  waitingWorker.postMessage({ type: "SKIP_WAITING" });
+});
+
+reminderFormEl.addEventListener("submit", async (event) => {
+  event.preventDefault();
+  await saveReminderForm();
+});
+
+localeSelectEl.addEventListener("change", () => {
+  applyLocale(localeSelectEl.value);
+});
+
+exportButtons.forEach((button) => {
+  button.addEventListener("click", () => {
+    downloadExport(button.dataset.exportFormat);
+  });
+});
+
+importInputEl.addEventListener("change", async () => {
+  const [file] = importInputEl.files;
+  if (!file) {
+    return;
+  }
+  await importPeriodsFile(file);
+  importInputEl.value = "";
+});
+
 // -------------
 // Functionality
 // -------------
 
-// 1. Form validation
-function checkDatesInvalid(startDate, endDate) {
-  if (!startDate || !endDate || startDate > endDate) {
-    newPeriodFormEl.reset();
+// 1. Form validation (see validation.js)
+// Shows an inline error next to each offending input and
+// leaves what the user typed in place so it can be corrected
+async function checkDatesInvalid(period, fields, ignoreId = null) {
+  const existingPeriods = await getAllStoredPeriods();
+  const errors = validatePeriod(period, existingPeriods, { ignoreId });
+  Object.values(fields).forEach(clearFieldError);
+  // Only the first error for each field, so it has a single message
+  // for aria-describedby to point at
+  const shownFields = new Set();
+  errors.forEach((error) => {
+    if (!shownFields.has(error.field)) {
+      shownFields.add(error.field);
+      showFieldError(fields[error.field], describeValidationError(error));
+    }
+  });
+  if (errors.length) {
+    fields[errors[0].field].focus();
     return true;
   }
   return false;
 }
 
-// 2. Get, add, sort, and store data
+function describeValidationError(error) {
+  switch (error.code) {
+    case "required":
+      return t("errorRequired");
+    case "invalid-date":
+      return t("errorInvalidDate");
+    case "future":
+      return t("errorFuture");
+    case "end-before-start":
+      return t("errorEndBeforeStart");
+    case "too-long":
+      return t("errorTooLong", { count: error.maxDays });
+    case "duplicate":
+      return t("errorDuplicate");
+    case "overlap":
+      return t("errorOverlap", {
+        startDate: formatDate(error.period.startDate),
+        endDate: formatDate(error.period.endDate),
+      });
+    default:
+      return t("errorGeneric");
+  }
+}
+
+function showFieldError(inputEl, message) {
+  const errorEl = document.createElement("span");
+  errorEl.id = `${inputEl.id}-error`;
+  errorEl.className = "field-error";
+  errorEl.textContent = message;
+  inputEl.setAttribute("aria-invalid", "true");
+  inputEl.setAttribute("aria-describedby", errorEl.id);
+  inputEl.after(errorEl);
+}
+
+function clearFieldError(inputEl) {
+  while (inputEl.nextElementSibling?.classList.contains("field-error")) {
+    inputEl.nextElementSibling.remove();
+  }
+  inputEl.removeAttribute("aria-invalid");
+  inputEl.removeAttribute("aria-describedby");
+}
+
+// 2. Add and store data (see db.js)
 function storeNewPeriod(startDate, endDate) {
-  const periods = getAllStoredPeriods();
-  periods.push({ startDate, endDate });
+  return addPeriod({ startDate, endDate });
+}
+
+// 3. Get and sort data, newest first
+async function getAllStoredPeriods() {
+  const periods = await getAllPeriods();
   periods.sort((a, b) => {
     return new Date(b.startDate) - new Date(a.startDate);
   });
-  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(periods));
-}
-
-// 3. Get and parse data
-function getAllStoredPeriods() {
-  const data = window.localStorage.getItem(STORAGE_KEY);
-  const periods = data ? JSON.parse(data) : [];
   return periods;
 }
 
 // 4. Display data
-function renderPastPeriods() {
+async function renderAll() {
+  currentPeriods = await getAllStoredPeriods();
+  currentDayLogs = await getAllDayLogs();
+  currentSymptoms = (await getSymptomList()) ?? DEFAULT_SYMPTOMS;
+  renderPastPeriods(currentPeriods);
+  renderCycleStats(currentPeriods);
+  renderDayLogForm();
+  renderSymptomSettings();
+  renderReminderSettings();
+  updateReminderSchedule();
+}
+
+function renderPastPeriods(periods) {
   const pastPeriodHeader = document.createElement("h2");
   const pastPeriodList = document.createElement("ul");
-  const periods = getAllStoredPeriods();
-  if (periods.length === 0) {
+  const { byPeriodId, standalone } = groupDayLogs(periods, currentDayLogs);
+  pastPeriodContainer.innerHTML = "";
+  if (periods.length === 0 && standalone.length === 0) {
+    return;
+  }
+  pastPeriodHeader.textContent = t("pastPeriods");
+  pastPeriodContainer.appendChild(pastPeriodHeader);
+  pastPeriodContainer.appendChild(renderViewToggle());
+
+  if (getPastPeriodView() === "calendar") {
+    pastPeriodContainer.appendChild(renderCalendarView(periods));
     return;
   }
-  pastPeriodContainer.innerHTML = "";
-  pastPeriodHeader.textContent = "Past periods";
   periods.forEach((period) => {
-    const periodEl = document.createElement("li");
-    periodEl.textContent = `From ${formatDate(
-      period.startDate,
-    )} to ${formatDate(period.endDate)}`;
+    const periodEl = renderPeriodItem(period);
+    const dayLogs = byPeriodId.get(period.id);
+    if (dayLogs) {
+      periodEl.appendChild(renderDayLogList(dayLogs));
+    }
     pastPeriodList.appendChild(periodEl);
   });
-
-  pastPeriodContainer.appendChild(pastPeriodHeader);
   pastPeriodContainer.appendChild(pastPeriodList);
+
+  if (standalone.length) {
+    const standaloneHeader = document.createElement("h3");
+    standaloneHeader.textContent = t("otherLoggedDays");
+    pastPeriodContainer.append(standaloneHeader, renderDayLogList(standalone));
+  }
 }
 
-// 5. format dates for display
+// 5. format dates for display in the chosen locale (see i18n.js)
 function formatDate(dateString) {
   const date = new Date(dateString);
-  return date.toLocaleDateString("en-US", { timeZone: "UTC" });
+  return date.toLocaleDateString(getFormatLocale(), { timeZone: "UTC" });
+}
+
+// 6. Display a single period with its edit and delete controls
+function renderPeriodItem(period) {
+  const periodEl = document.createElement("li");
+  const textEl = document.createElement("span");
+  const editButton = document.createElement("button");
+  const deleteButton = document.createElement("button");
+  const periodLabel = t("periodRange", {
+    startDate: formatDate(period.startDate),
+    endDate: formatDate(period.endDate),
+  });
+
+  textEl.textContent = periodLabel;
+  editButton.type = "button";
+  editButton.textContent = t("edit");
+  editButton.setAttribute(
+    "aria-label",
+    t("editPeriod", { period: periodLabel }),
+  );
+  editButton.addEventListener("click", () => {
+    periodEl.replaceWith(renderEditForm(period));
+  });
+  deleteButton.type = "button";
+  deleteButton.textContent = t("delete");
+  deleteButton.setAttribute(
+    "aria-label",
+    t("deletePeriod", { period: periodLabel }),
+  );
+  deleteButton.addEventListener("click", () => {
+    removePeriod(period);
+  });
+
+  periodEl.append(textEl, " ", editButton, " ", deleteButton);
+  return periodEl;
+}
+
+// 7. Inline form for changing the dates of a stored period
+function renderEditForm(period) {
+  const periodEl = document.createElement("li");
+  const formEl = document.createElement("form");
+  // Errors are shown inline by checkDatesInvalid()
+  formEl.noValidate = true;
+  const startInput = createDateField(
+    formEl,
+    `edit-start-${period.id}`,
+    t("startDate"),
+    period.startDate,
+  );
+  const endInput = createDateField(
+    formEl,
+    `edit-end-${period.id}`,
+    t("endDate"),
+    period.endDate,
+  );
+  const saveButton = document.createElement("button");
+  const cancelButton = document.createElement("button");
+  const statusEl = document.createElement("p");
+
+  statusEl.setAttribute("role", "status");
+  saveButton.type = "submit";
+  saveButton.textContent = t("save");
+  cancelButton.type = "button";
+  cancelButton.textContent = t("cancel");
+  cancelButton.addEventListener("click", () => {
+    renderAll();
+  });
+  formEl.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    const dates = { startDate: startInput.value, endDate: endInput.value };
+    const fields = { startDate: startInput, endDate: endInput };
+    statusEl.textContent = "";
+    try {
+      if (await checkDatesInvalid(dates, fields, period.id)) {
+        return;
+      }
+      await updatePeriod(period.id, dates);
+      await renderAll();
+    } catch (error) {
+      // Keep the form open so the dates can be saved again
+      console.error("Couldn't update period:", error);
+      statusEl.textContent = t("errorSaveFailed");
+    }
+  });
+
+  formEl.append(saveButton, " ", cancelButton, statusEl);
+  periodEl.appendChild(formEl);
+  // Wait for the form to be in the document before moving focus
+  requestAnimationFrame(() => startInput.focus());
+  return periodEl;
+}
+
+function createDateField(formEl, id, labelText, value) {
+  const labelEl = document.createElement("label");
+  const inputEl = document.createElement("input");
+  inputEl.type = "date";
+  inputEl.id = id;
+  inputEl.required = true;
+  inputEl.value = value;
+  inputEl.addEventListener("input", () => clearFieldError(inputEl));
+  labelEl.append(`${labelText} `, inputEl, " ");
+  formEl.appendChild(labelEl);
+  return inputEl;
+}
+
+// 8. Delete a period, offering to put it back for a short while.
+// Deleting another one first doesn't lose the earlier undo: each Undo
+// restores the latest deletion and then offers the one before it.
+async function removePeriod(period) {
+  periodsStatusEl.textContent = "";
+  try {
+    await deletePeriod(period.id);
+  } catch (error) {
+    console.error("Couldn't delete period:", error);
+    periodsStatusEl.textContent = t("errorDeleteFailed");
+    return;
+  }
+  await renderAll();
+  deletedPeriods.push(period);
+  showUndo();
+}
+
+function showUndo() {
+  const period = deletedPeriods[deletedPeriods.length - 1];
+  const undoButton = document.createElement("button");
+  undoButton.type = "button";
+  undoButton.textContent = t("undo");
+  undoButton.addEventListener("click", async () => {
+    undoButton.disabled = true;
+    periodsStatusEl.textContent = "";
+    try {
+      // Put the record back with its original id
+      await restorePeriod(period);
+    } catch (error) {
+      // Still deleted, so offer Undo again for a full timeout
+      console.error("Couldn't restore period:", error);
+      periodsStatusEl.textContent = t("errorRestoreFailed");
+      showUndo();
+      return;
+    }
+    deletedPeriods.pop();
+    if (deletedPeriods.length) {
+      showUndo();
+    } else {
+      hideUndo();
+    }
+    await renderAll();
+  });
+
+  clearTimeout(undoTimer);
+  undoStatusEl.textContent = `${t("deletedPeriod", {
+    startDate: formatDate(period.startDate),
+    endDate: formatDate(period.endDate),
+  })} `;
+  undoStatusEl.appendChild(undoButton);
+  undoStatusEl.hidden = false;
+  undoTimer = setTimeout(hideUndo, UNDO_TIMEOUT);
+}
+
+function hideUndo() {
+  clearTimeout(undoTimer);
+  deletedPeriods = [];
+  undoStatusEl.hidden = true;
+  undoStatusEl.textContent = "";
+}
+
+// 9. Display cycle statistics (see stats.js)
+function renderCycleStats(periods) {
+  statsContainer.innerHTML = "";
+  if (periods.length === 0 && currentDayLogs.length === 0) {
+    return;
+  }
+  const stats = computeCycleStats(periods, currentDayLogs);
+  const statsHeader = document.createElement("h2");
+  const statsList = document.createElement("dl");
+  statsHeader.textContent = t("statsHeading");
+  statsContainer.appendChild(statsHeader);
+
+  if (stats.averagePeriodLength !== null) {
+    addStat(
+      statsList,
+      t("averagePeriodLength"),
+      formatDays(stats.averagePeriodLength),
+    );
+  }
+  if (stats.prediction) {
+    addStat(
+      statsList,
+      t("averageCycleLength"),
+      formatDays(stats.averageCycleLength),
+    );
+    addStat(
+      statsList,
+      t("cycleVariability"),
+      t("variability", { days: formatDays(stats.cycleVariability) }),
+    );
+    addStat(
+      statsList,
+      t("nextPeriodExpected"),
+      t("dateRange", {
+        startDate: formatDate(stats.prediction.earliest),
+        endDate: formatDate(stats.prediction.latest),
+      }),
+    );
+  }
+  addDayLogStats(statsList, stats.dayLogs);
+  statsContainer.appendChild(statsList);
+
+  if (!stats.prediction) {
+    const noteEl = document.createElement("p");
+    noteEl.textContent = t("needTwoPeriods");
+    statsContainer.appendChild(noteEl);
+  }
+  if (stats.lowConfidence) {
+    const noteEl = document.createElement("p");
+    noteEl.className = "low-confidence";
+    noteEl.textContent = t("lowConfidence", {
+      notes: stats.confidenceNotes.map(describeConfidenceNote).join(" "),
+    });
+    statsContainer.appendChild(noteEl);
+  }
+}
+
+function addDayLogStats(listEl, dayLogStats) {
+  if (dayLogStats.loggedDays === 0) {
+    return;
+  }
+  addStat(listEl, t("daysLogged"), formatNumber(dayLogStats.loggedDays));
+  if (dayLogStats.topSymptoms.length) {
+    addStat(
+      listEl,
+      t("commonSymptoms"),
+      dayLogStats.topSymptoms
+        .map(({ value, count }) =>
+          t("symptomCount", { symptom: getSymptomLabel(value), count }),
+        )
+        .join(", "),
+    );
+  }
+  if (dayLogStats.commonMood) {
+    addStat(listEl, t("commonMood"), t(`mood.${dayLogStats.commonMood}`));
+  }
+  if (dayLogStats.heaviestFlowDay !== null) {
+    addStat(
+      listEl,
+      t("heaviestFlowDay"),
+      t("heaviestFlowDayValue", { count: dayLogStats.heaviestFlowDay }),
+    );
+  }
+}
+
+function addStat(listEl, term, description) {
+  const termEl = document.createElement("dt");
+  const descriptionEl = document.createElement("dd");
+  termEl.textContent = term;
+  descriptionEl.textContent = description;
+  listEl.append(termEl, descriptionEl);
+}
+
+function formatDays(days) {
+  return t("days", { count: Math.round(days * 10) / 10 });
+}
+
+function describeConfidenceNote(note) {
+  switch (note.code) {
+    case "few-periods":
+      return t("noteFewPeriods", { count: note.minPeriods });
+    case "outliers":
+      return t("noteOutliers", {
+        count: note.outliers.length,
+        lengths: note.outliers.map(formatDays).join(", "),
+      });
+    default:
+      return "";
+  }
+}
+
+// 10. Passphrase lock (see db.js and crypto.js)
+async function init() {
+  applyLocale(getSavedLocale());
+  if ((await isLockEnabled()) && !isUnlocked()) {
+    showUnlockScreen();
+  } else {
+    showApp();
+  }
+}
+
+function showUnlockScreen() {
+  hideUndo();
+  // Don't leave decrypted data in the page while locked
+  pastPeriodContainer.innerHTML = "";
+  statsContainer.innerHTML = "";
+  dayLogFormEl.reset();
+  dayLogStatusEl.textContent = "";
+  currentPeriods = [];
+  currentDayLogs = [];
+  appEl.hidden = true;
+  unlockSectionEl.hidden = false;
+  unlockInputEl.focus();
+}
+
+function showApp() {
+  unlockSectionEl.hidden = true;
+  appEl.hidden = false;
+  renderPassphraseSettings();
+  renderAll().then(() => {
+    if (pendingLaunch) {
+      runLaunch(pendingLaunch);
+      pendingLaunch = null;
+    }
+  });
+}
+
+async function renderPassphraseSettings() {
+  const enabled = await isLockEnabled();
+  passphraseStateEl.textContent = t(
+    enabled ? "passphraseEnabled" : "passphraseDisabled",
+  );
+  currentPassphraseFieldEl.hidden = !enabled;
+  setPassphraseButton.textContent = t(
+    enabled ? "changePassphrase" : "setPassphrase",
+  );
+  removePassphraseButton.hidden = !enabled;
+  lockNowButton.hidden = !enabled;
+}
+
+// Check the current passphrase and, when setting one, the new passphrase.
+// Shows inline errors like checkDatesInvalid()
+async function checkPassphraseFormInvalid(settingNew) {
+  const inputs = [
+    currentPassphraseInputEl,
+    newPassphraseInputEl,
+    confirmPassphraseInputEl,
+  ];
+  const errors = [];
+  inputs.forEach(clearFieldError);
+  passphraseStatusEl.textContent = "";
+
+  if (settingNew) {
+    if (newPassphraseInputEl.value.length < MIN_PASSPHRASE_LENGTH) {
+      errors.push([
+        newPassphraseInputEl,
+        t("passphraseTooShort", { count: MIN_PASSPHRASE_LENGTH }),
+      ]);
+    } else if (newPassphraseInputEl.value !== confirmPassphraseInputEl.value) {
+      errors.push([confirmPassphraseInputEl, t("passphraseMismatch")]);
+    }
+  }
+  if (
+    (await isLockEnabled()) &&
+    !(await unlock(currentPassphraseInputEl.value))
+  ) {
+    errors.unshift([currentPassphraseInputEl, t("wrongPassphrase")]);
+  }
+
+  errors.forEach(([inputEl, message]) => showFieldError(inputEl, message));
+  if (errors.length) {
+    errors[0][0].focus();
+    return true;
+  }
+  return false;
+}
+
+function finishPassphraseChange(message) {
+  // Reword the reminders for whether they may mention dates
+  updateReminderSchedule();
+  passphraseFormEl.reset();
+  renderPassphraseSettings();
+  passphraseStatusEl.textContent = message;
+}
+
+// 11. Export and import (see transfer.js)
+async function downloadExport(format) {
+  const periods = await getAllStoredPeriods();
+  const { extension, mimeType } = EXPORT_FORMATS[format];
+  const blob = new Blob([exportPeriods(periods, format)], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const linkEl = document.createElement("a");
+  linkEl.href = url;
+  linkEl.download = `cycletracker-${getTodayString()}.${extension}`;
+  document.body.appendChild(linkEl);
+  linkEl.click();
+  linkEl.remove();
+  // Revoking straight away can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url));
+}
+
+async function importPeriodsFile(file) {
+  importSummaryEl.innerHTML = "";
+  let candidates;
+  try {
+    candidates = parsePeriodsFile(await file.text(), file.name);
+  } catch (error) {
+    console.error(`Couldn't read ${file.name}`, error);
+    importSummaryEl.textContent = t("importUnreadable", {
+      fileName: file.name,
+    });
+    return;
+  }
+  const summary = await importPeriods(candidates);
+  await renderAll();
+  renderImportSummary(file.name, summary);
+}
+
+// Store each valid candidate, checking it against what is already stored
+// and against earlier rows of the same file. A failed write stops the
+// import and is reported in summary.failed, after what was added so far.
+async function importPeriods(candidates) {
+  const summary = { added: [], skipped: [], failed: false };
+  try {
+    const existingPeriods = await getAllStoredPeriods();
+    for (const candidate of candidates) {
+      const errors = validatePeriod(candidate, existingPeriods);
+      if (errors.length) {
+        summary.skipped.push({ period: candidate, error: errors[0] });
+        continue;
+      }
+      const id = await storeNewPeriod(candidate.startDate, candidate.endDate);
+      existingPeriods.push({ ...candidate, id });
+      summary.added.push(candidate);
+    }
+  } catch (error) {
+    console.error("Import failed:", error);
+    summary.failed = true;
+  }
+  return summary;
+}
+
+function renderImportSummary(fileName, { added, skipped, failed }) {
+  const headlineEl = document.createElement("p");
+  headlineEl.textContent = failed
+    ? t("importFailed", { fileName, added: added.length })
+    : t("importSummary", {
+        fileName,
+        added: added.length,
+        skipped: skipped.length,
+      });
+  importSummaryEl.appendChild(headlineEl);
+  if (skipped.length === 0) {
+    return;
+  }
+  const skippedList = document.createElement("ul");
+  skipped.forEach(({ period, error }) => {
+    const itemEl = document.createElement("li");
+    itemEl.textContent = t("importSkipped", {
+      period: t("dateRange", {
+        startDate: period.startDate || "?",
+        endDate: period.endDate || "?",
+      }),
+      reason: describeValidationError(error),
+    });
+    skippedList.appendChild(itemEl);
+  });
+  importSummaryEl.appendChild(skippedList);
+}
+
+// 12. Switch between the list and calendar views
+function getPastPeriodView() {
+  return localStorage.getItem(VIEW_STORAGE_KEY) === "calendar"
+    ? "calendar"
+    : "list";
+}
+
+function renderViewToggle() {
+  const toggleEl = document.createElement("p");
+  const currentView = getPastPeriodView();
+  toggleEl.className = "view-toggle";
+  [
+    ["list", t("viewList")],
+    ["calendar", t("viewCalendar")],
+  ].forEach(([view, label]) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = label;
+    button.setAttribute("aria-pressed", String(view === currentView));
+    button.addEventListener("click", () => {
+      localStorage.setItem(VIEW_STORAGE_KEY, view);
+      renderPastPeriods(currentPeriods);
+    });
+    toggleEl.append(button, " ");
+  });
+  return toggleEl;
+}
+
+// 13. Month calendar (see calendar.js)
+function renderCalendarView(periods) {
+  const viewEl = document.createElement("div");
+  const navEl = document.createElement("p");
+  const previousButton = document.createElement("button");
+  const nextButton = document.createElement("button");
+  const calendarEl = createCalendar({
+    periods,
+    dayLogs: currentDayLogs,
+    prediction: computeCycleStats(periods).prediction,
+    focusedDate: calendarFocusDate,
+  });
+
+  previousButton.type = "button";
+  previousButton.textContent = t("previousMonth");
+  previousButton.addEventListener("click", () => {
+    moveCalendarFocus(addMonths(calendarFocusDate, -1), false);
+  });
+  nextButton.type = "button";
+  nextButton.textContent = t("nextMonth");
+  nextButton.addEventListener("click", () => {
+    moveCalendarFocus(addMonths(calendarFocusDate, 1), false);
+  });
+  calendarEl.addEventListener("keydown", (event) => {
+    const target = getCalendarKeyTarget(
+      calendarFocusDate,
+      getLogicalArrowKey(event.key),
+    );
+    if (target) {
+      event.preventDefault();
+      moveCalendarFocus(target, true);
+    }
+  });
+  calendarEl.addEventListener("click", (event) => {
+    const cellEl = event.target.closest("[data-date]");
+    if (cellEl) {
+      moveCalendarFocus(cellEl.dataset.date, true);
+    }
+  });
+
+  navEl.className = "calendar-nav";
+  navEl.append(previousButton, " ", nextButton);
+  viewEl.append(navEl, calendarEl);
+  return viewEl;
+}
+
+// The grid is mirrored in right-to-left layouts, so left means later
+function getLogicalArrowKey(key) {
+  if (!isRtlLocale()) {
+    return key;
+  }
+  return { ArrowLeft: "ArrowRight", ArrowRight: "ArrowLeft" }[key] ?? key;
+}
+
+function moveCalendarFocus(date, focusDay) {
+  const sameMonth = date.slice(0, 7) === calendarFocusDate.slice(0, 7);
+  const activeCell = pastPeriodContainer.querySelector("[tabindex='0']");
+  calendarFocusDate = date;
+  if (!sameMonth) {
+    renderPastPeriods(currentPeriods);
+  } else if (activeCell) {
+    // Same month: just move the roving tabindex
+    activeCell.tabIndex = -1;
+  }
+  const cellEl = pastPeriodContainer.querySelector(`[data-date="${date}"]`);
+  cellEl.tabIndex = 0;
+  if (focusDay) {
+    cellEl.focus();
+  }
+}
+
+// 14. Language (see i18n.js)
+function renderLocaleSelect() {
+  localeSelectEl.innerHTML = "";
+  const automaticOption = document.createElement("option");
+  automaticOption.value = "";
+  automaticOption.textContent = t("languageAutomatic");
+  localeSelectEl.appendChild(automaticOption);
+  Object.entries(MESSAGES).forEach(([locale, messages]) => {
+    const optionEl = document.createElement("option");
+    optionEl.value = locale;
+    optionEl.lang = locale;
+    optionEl.textContent = messages.languageName;
+    localeSelectEl.appendChild(optionEl);
+  });
+  localeSelectEl.value = getSavedLocale();
+}
+
+function applyLocale(locale) {
+  setLocale(locale);
+  translatePage();
+  renderLocaleSelect();
+  renderUpdateBanner();
+  if (!appEl.hidden) {
+    renderPassphraseSettings();
+    renderAll();
+  }
+}
+
+// 15. Day logs (see daylog.js)
+function findDayLog(date) {
+  return currentDayLogs.find((dayLog) => dayLog.date === date) ?? null;
+}
+
+function getSymptomLabel(id) {
+  const symptom = currentSymptoms.find((item) => item.id === id);
+  return symptom?.label ?? t(`symptom.${id}`);
+}
+
+function describeDayLog(dayLog) {
+  const parts = [formatDate(dayLog.date)];
+  if (dayLog.flow && dayLog.flow !== "none") {
+    parts.push(t("flowDescription", { flow: t(`flow.${dayLog.flow}`) }));
+  }
+  if (dayLog.symptoms.length) {
+    parts.push(dayLog.symptoms.map(getSymptomLabel).join(", "));
+  }
+  if (dayLog.mood) {
+    parts.push(t("moodDescription", { mood: t(`mood.${dayLog.mood}`) }));
+  }
+  if (dayLog.note) {
+    parts.push(dayLog.note);
+  }
+  return parts.join("; ");
+}
+
+function renderDayLogList(dayLogs) {
+  const listEl = document.createElement("ul");
+  listEl.className = "day-logs";
+  dayLogs.forEach((dayLog) => {
+    const itemEl = document.createElement("li");
+    const editButton = document.createElement("button");
+    itemEl.textContent = `${describeDayLog(dayLog)} `;
+    editButton.type = "button";
+    editButton.textContent = t("edit");
+    editButton.setAttribute(
+      "aria-label",
+      t("editDayLog", { date: formatDate(dayLog.date) }),
+    );
+    editButton.addEventListener("click", () => {
+      fillDayLogForm(dayLog.date);
+      dayLogDateInputEl.focus();
+    });
+    itemEl.appendChild(editButton);
+    listEl.appendChild(itemEl);
+  });
+  return listEl;
+}
+
+// Rebuild the choices, which depend on the locale and symptom list,
+// then put back whatever day is being edited
+function renderDayLogForm() {
+  const date = dayLogDateInputEl.value || getTodayString();
+  const selectedSymptoms = [
+    ...dayLogSymptomsEl.querySelectorAll("input:checked"),
+  ].map((input) => input.value);
+
+  fillSelect(
+    dayLogFlowSelectEl,
+    FLOW_LEVELS.map((level) => [level, t(`flow.${level}`)]),
+  );
+  fillSelect(dayLogMoodSelectEl, [
+    ["", t("notRecorded")],
+    ...MOODS.map((mood) => [mood, t(`mood.${mood}`)]),
+  ]);
+  dayLogSymptomsEl.querySelectorAll("p").forEach((el) => el.remove());
+  currentSymptoms
+    .filter((symptom) => !symptom.hidden)
+    .forEach((symptom) => {
+      const fieldEl = document.createElement("p");
+      const labelEl = document.createElement("label");
+      const inputEl = document.createElement("input");
+      inputEl.type = "checkbox";
+      inputEl.value = symptom.id;
+      inputEl.checked = selectedSymptoms.includes(symptom.id);
+      labelEl.append(inputEl, ` ${getSymptomLabel(symptom.id)}`);
+      fieldEl.appendChild(labelEl);
+      dayLogSymptomsEl.appendChild(fieldEl);
+    });
+  if (!dayLogDateInputEl.value) {
+    fillDayLogForm(date);
+  }
+}
+
+function fillSelect(selectEl, options) {
+  const value = selectEl.value;
+  selectEl.innerHTML = "";
+  options.forEach(([optionValue, label]) => {
+    const optionEl = document.createElement("option");
+    optionEl.value = optionValue;
+    optionEl.textContent = label;
+    selectEl.appendChild(optionEl);
+  });
+  selectEl.value = value;
+  if (selectEl.selectedIndex === -1) {
+    selectEl.selectedIndex = 0;
+  }
+}
+
+// Show the saved log for a date, or a blank form if there isn't one
+function fillDayLogForm(date) {
+  const dayLog = findDayLog(date);
+  dayLogStatusEl.textContent = "";
+  dayLogDateInputEl.value = date;
+  dayLogFlowSelectEl.value = dayLog?.flow ?? "none";
+  dayLogMoodSelectEl.value = dayLog?.mood ?? "";
+  dayLogNoteInputEl.value = dayLog?.note ?? "";
+  dayLogSymptomsEl.querySelectorAll("input").forEach((input) => {
+    input.checked = Boolean(dayLog?.symptoms.includes(input.value));
+  });
+  deleteDayLogButton.hidden = !dayLog;
+}
+
+async function storeDayLogForm() {
+  const date = dayLogDateInputEl.value;
+  const errors = validateDayLog({ date });
+  clearFieldError(dayLogDateInputEl);
+  if (errors.length) {
+    showFieldError(dayLogDateInputEl, describeValidationError(errors[0]));
+    dayLogDateInputEl.focus();
+    return;
+  }
+  const existing = findDayLog(date);
+  const dayLog = {
+    date,
+    flow: dayLogFlowSelectEl.value,
+    symptoms: [...dayLogSymptomsEl.querySelectorAll("input:checked")].map(
+      (input) => input.value,
+    ),
+    mood: dayLogMoodSelectEl.value,
+    note: dayLogNoteInputEl.value.trim(),
+  };
+  if (existing) {
+    dayLog.id = existing.id;
+  }
+  if (isDayLogEmpty(dayLog)) {
+    // Saving an empty form clears the day
+    if (existing) {
+      await deleteDayLog(existing.id);
+    }
+  } else {
+    await saveDayLog(dayLog);
+  }
+  await renderAll();
+  fillDayLogForm(date);
+  dayLogStatusEl.textContent = t("dayLogSaved", { date: formatDate(date) });
+}
+
+function renderSymptomSettings() {
+  symptomListEl.innerHTML = "";
+  currentSymptoms
+    .filter((symptom) => !symptom.hidden)
+    .forEach((symptom) => {
+      const itemEl = document.createElement("li");
+      const removeButton = document.createElement("button");
+      const label = getSymptomLabel(symptom.id);
+      removeButton.type = "button";
+      removeButton.textContent = t("delete");
+      removeButton.setAttribute(
+        "aria-label",
+        t("removeSymptom", { symptom: label }),
+      );
+      removeButton.addEventListener("click", async () => {
+        await saveSymptomList(removeSymptom(currentSymptoms, symptom.id));
+        await renderAll();
+      });
+      itemEl.append(`${label} `, removeButton);
+      symptomListEl.appendChild(itemEl);
+    });
+}
+
+// 16. Service worker and updates (see sw.js)
+async function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) {
+    return;
+  }
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    // The first install also claims the page; only reload for updates
+    if (reloadOnControllerChange) {
+      window.location.reload();
+    }
+  });
+
+  navigator.serviceWorker.addEventListener("message", (event) => {
+    if (event.data?.type === "LAUNCH") {
+      launch(event.data);
+    }
+  });
+
+  const registration = await navigator.serviceWorker.register("sw.js");
+  // Show anything that came due while the app was closed, even if locked
+  notifyReminderWorker();
+  if (registration.waiting && navigator.serviceWorker.controller) {
+    showUpdate(registration.waiting);
+  }
+  registration.addEventListener("updatefound", () => {
+    const worker = registration.installing;
+    worker.addEventListener("statechange", () => {
+      // With no controller this is the first install, not an update
+      if (worker.state === "installed" && navigator.serviceWorker.controller) {
+        showUpdate(worker);
+      }
+    });
+  });
+}
+
+async function showUpdate(worker) {
+  waitingWorker = worker;
+  waitingVersion = await getWorkerVersion(worker);
+  renderUpdateBanner();
+}
+
+// Ask a service worker for its VERSION constant. Resolves with "" if it
+// doesn't answer, e.g. an older worker without the GET_VERSION handler.
+function getWorkerVersion(worker) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => resolve(""), WORKER_VERSION_TIMEOUT);
+    const channel = new MessageChannel();
+    channel.port1.onmessage = (event) => {
+      clearTimeout(timer);
+      resolve(event.data?.version ?? "");
+    };
+    worker.postMessage({ type: "GET_VERSION" }, [channel.port2]);
+  });
+}
+
+function renderUpdateBanner() {
+  updateBannerEl.hidden = !waitingWorker;
+  updateMessageEl.textContent = waitingVersion
+    ? t("updateAvailable", { version: waitingVersion })
+    : t("updateAvailableNoVersion");
+}
+
+// 17. Reminders (see reminders.js and sw.js)
+function renderReminderSettings() {
+  getReminderSettings().then((saved) => {
+    const settings = { ...DEFAULT_REMINDER_SETTINGS, ...saved };
+    remindUpcomingInputEl.checked = settings.remindUpcoming;
+    reminderDaysBeforeInputEl.value = settings.daysBefore;
+    remindMissingInputEl.checked = settings.remindMissing;
+  });
+}
+
+async function saveReminderForm() {
+  const remindUpcoming = remindUpcomingInputEl.checked;
+  const remindMissing = remindMissingInputEl.checked;
+  const daysBefore = Number(reminderDaysBeforeInputEl.value);
+  if (
+    (remindUpcoming || remindMissing) &&
+    !(await askNotificationPermission())
+  ) {
+    return;
+  }
+  await updateReminderSettings((saved) => ({
+    ...DEFAULT_REMINDER_SETTINGS,
+    ...saved,
+    remindUpcoming,
+    daysBefore,
+    remindMissing,
+  }));
+  await updateReminderSchedule();
+  if (!remindUpcoming && !remindMissing) {
+    reminderStatusEl.textContent = t("remindersOff");
+    return;
+  }
+  const scheduled =
+    "showTrigger" in Notification.prototype || (await registerReminderSync());
+  reminderStatusEl.textContent = scheduled
+    ? t("remindersSaved")
+    : `${t("remindersSaved")} ${t("remindersWhenOpened")}`;
+}
+
+// Only ask for permission once the user turns a reminder on
+async function askNotificationPermission() {
+  if (!("Notification" in window) || !("serviceWorker" in navigator)) {
+    reminderStatusEl.textContent = t("remindersUnsupported");
+    return false;
+  }
+  if ((await Notification.requestPermission()) !== "granted") {
+    reminderStatusEl.textContent = t("remindersBlocked");
+    return false;
+  }
+  return true;
+}
+
+// Without Notification Triggers, periodic sync lets the service worker
+// check for due reminders now and then while the app is closed
+async function registerReminderSync() {
+  const registration = await navigator.serviceWorker.ready;
+  if (!("periodicSync" in registration)) {
+    return false;
+  }
+  try {
+    await registration.periodicSync.register("cycletracker-reminders", {
+      minInterval: 12 * 60 * 60 * 1000,
+    });
+    return true;
+  } catch (error) {
+    // Usually the app isn't installed, so the browser won't allow it
+    return false;
+  }
+}
+
+// Plan from the current data and word the reminders in the current
+// language, then let the service worker show or schedule them
+async function updateReminderSchedule() {
+  const locked = await isLockEnabled();
+  await updateReminderSettings((saved) => {
+    const settings = { ...DEFAULT_REMINDER_SETTINGS, ...saved };
+    const planned = planReminders({
+      periods: currentPeriods,
+      dayLogs: currentDayLogs,
+      remindUpcoming: settings.remindUpcoming,
+      daysBefore: settings.daysBefore,
+      remindMissing: settings.remindMissing,
+    }).map((reminder) => describeReminder(reminder, locked));
+    return {
+      ...settings,
+      schedule: mergeReminderSchedule(settings.schedule, planned),
+    };
+  });
+  notifyReminderWorker();
+}
+
+// The schedule isn't encrypted, so with a passphrase lock it keeps only
+// the kind of each reminder and when it's due. The planned tag names a
+// date, so the tag is made from those two as well.
+function describeReminder({ prediction, date, ...reminder }, locked) {
+  if (locked) {
+    return {
+      tag: `reminder-${reminder.kind}-${reminder.timestamp}`,
+      kind: reminder.kind,
+      timestamp: reminder.timestamp,
+      title: t("lockedReminderTitle"),
+      body: t("lockedReminderBody"),
+    };
+  }
+  if (reminder.kind === "upcoming") {
+    return {
+      ...reminder,
+      date,
+      title: t("upcomingTitle"),
+      body: t("upcomingBody", {
+        earliest: formatDate(prediction.earliest),
+        latest: formatDate(prediction.latest),
+      }),
+    };
+  }
+  return {
+    ...reminder,
+    date,
+    title: t("missingTitle"),
+    body: t("missingBody", { date: formatDate(date) }),
+  };
+}
+
+async function notifyReminderWorker() {
+  if (!("serviceWorker" in navigator)) {
+    return;
+  }
+  const registration = await navigator.serviceWorker.ready;
+  registration.active.postMessage({ type: "CHECK_REMINDERS" });
+}
+
+// 18. Open the app at a form or import (see cycletracker.json)
+// Actions come from the query string of a manifest shortcut or
+// notification, from the service worker, or from the launch queue.
+function readLaunchQuery() {
+  const params = new URLSearchParams(window.location.search);
+  if (!params.has("action")) {
+    return;
+  }
+  pendingLaunch = { action: params.get("action"), date: params.get("date") };
+  // Don't repeat the action when the page is reloaded
+  history.replaceState(null, "", window.location.pathname);
+}
+
+function readLaunchQueue() {
+  if (!("launchQueue" in window)) {
+    return;
+  }
+  window.launchQueue.setConsumer(({ files }) => {
+    if (files.length) {
+      launch({ action: "open-files", fileHandles: files });
+    }
+  });
+}
+
+function launch(target) {
+  if (appEl.hidden) {
+    pendingLaunch = target;
+    return;
+  }
+  runLaunch(target);
+}
+
+async function runLaunch({ action, date, fileHandles }) {
+  const today = getTodayString();
+  if (action === "period-start") {
+    newPeriodFormEl.reset();
+    startDateInputEl.value = date ?? today;
+    newPeriodFormEl.scrollIntoView();
+    endDateInputEl.focus();
+  } else if (action === "period-end") {
+    newPeriodFormEl.reset();
+    endDateInputEl.value = date ?? today;
+    startDateInputEl.value = guessPeriodStart(endDateInputEl.value);
+    newPeriodFormEl.scrollIntoView();
+    startDateInputEl.focus();
+  } else if (action === "log-day") {
+    fillDayLogForm(date ?? today);
+    dayLogFormEl.scrollIntoView();
+    dayLogFlowSelectEl.focus();
+  } else if (action === "import-share") {
+    await importSharedFile();
+  } else if (action === "open-files") {
+    importSummaryEl.scrollIntoView();
+    for (const fileHandle of fileHandles) {
+      await importPeriodsFile(await fileHandle.getFile());
+    }
+  }
+}
+
+// The predicted start, if it could be the start of a period ending on
+// endDate and isn't already logged; otherwise leave it for the user
+function guessPeriodStart(endDate) {
+  const { prediction } = computeCycleStats(currentPeriods, currentDayLogs);
+  if (!prediction || prediction.expected > endDate) {
+    return "";
+  }
+  const guess = { startDate: prediction.expected, endDate };
+  return validatePeriod(guess, currentPeriods).length ? "" : guess.startDate;
+}
+
+// Import the file the service worker kept from a share, then forget it
+async function importSharedFile() {
+  const cache = await caches.open(SHARE_CACHE_NAME);
+  const response = await cache.match(SHARED_FILE_URL);
+  if (!response) {
+    return;
+  }
+  await cache.delete(SHARED_FILE_URL);
+  const fileName = decodeURIComponent(response.headers.get("X-File-Name"));
+  const file = new File([await response.blob()], fileName, {
+    type: response.headers.get("Content-Type") ?? "",
+  });
+  importSummaryEl.scrollIntoView();
+  await importPeriodsFile(file);
 }
 
 // -------------
-// Call render on page load
+// Call init on page load
 // -------------
 
-renderPastPeriods();
+readLaunchQuery();
+readLaunchQueue();
+init();
+registerServiceWorker();
@@ -0,0 +1,144 @@
+// Month calendar for cycleTracker app
+// Builds a grid of days for the month containing the focused date.
+// Uses toDayNumber() and fromDayNumber() from stats.js, t() and
+// getFormatLocale() from i18n.js and formatDate() from app.js
+
+// -------------
+// Variable declarations
+// -------------
+
+// 1 January 2023 was a Sunday, the first column of the grid
+const CALENDAR_FIRST_SUNDAY = Date.UTC(2023, 0, 1);
+
+// -------------
+// Functionality
+// -------------
+
+// 1. Short weekday names, Sunday first, in the current locale
+function getWeekdayNames() {
+  const formatter = new Intl.DateTimeFormat(getFormatLocale(), {
+    weekday: "short",
+    timeZone: "UTC",
+  });
+  return [0, 1, 2, 3, 4, 5, 6].map((day) =>
+    formatter.format(CALENDAR_FIRST_SUNDAY + day * DAY_IN_MS),
+  );
+}
+
+// 2. Every date from startDate to endDate, inclusive
+function expandDateRange(startDate, endDate) {
+  const dates = [];
+  for (let day = toDayNumber(startDate); day <= toDayNumber(endDate); day++) {
+    dates.push(fromDayNumber(day));
+  }
+  return dates;
+}
+
+// 3. Move a date by whole months, keeping the day where the month allows
+function addMonths(dateString, months) {
+  const date = new Date(dateString);
+  const day = date.getUTCDate();
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  const daysInMonth = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0),
+  ).getUTCDate();
+  date.setUTCDate(Math.min(day, daysInMonth));
+  return date.toISOString().slice(0, 10);
+}
+
+// 4. Where a key press in the grid moves focus to, or null to ignore it
+function getCalendarKeyTarget(dateString, key) {
+  const day = toDayNumber(dateString);
+  const weekday = new Date(dateString).getUTCDay();
+  switch (key) {
+    case "ArrowLeft":
+      return fromDayNumber(day - 1);
+    case "ArrowRight":
+      return fromDayNumber(day + 1);
+    case "ArrowUp":
+      return fromDayNumber(day - 7);
+    case "ArrowDown":
+      return fromDayNumber(day + 7);
+    case "Home":
+      return fromDayNumber(day - weekday);
+    case "End":
+      return fromDayNumber(day + 6 - weekday);
+    case "PageUp":
+      return addMonths(dateString, -1);
+    case "PageDown":
+      return addMonths(dateString, 1);
+    default:
+      return null;
+  }
+}
+
+// 5. Build the grid. The focused day is the only one in the tab order.
+function createCalendar({ periods, dayLogs = [], prediction, focusedDate }) {
+  const periodDays = new Set(
+    periods.flatMap((period) =>
+      expandDateRange(period.startDate, period.endDate),
+    ),
+  );
+  const predictedDays = new Set(
+    prediction ? expandDateRange(prediction.earliest, prediction.latest) : [],
+  );
+  const loggedDays = new Set(dayLogs.map((dayLog) => dayLog.date));
+  const [year, month] = focusedDate.split("-").map(Number);
+  const firstDay = toDayNumber(`${focusedDate.slice(0, 7)}-01`);
+  const leadingBlanks = new Date(fromDayNumber(firstDay)).getUTCDay();
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+  const tableEl = document.createElement("table");
+  const captionEl = document.createElement("caption");
+  const headEl = document.createElement("thead");
+  const headRowEl = document.createElement("tr");
+  const bodyEl = document.createElement("tbody");
+  tableEl.className = "calendar";
+  tableEl.setAttribute("role", "grid");
+  captionEl.textContent = new Date(fromDayNumber(firstDay)).toLocaleDateString(
+    getFormatLocale(),
+    { month: "long", year: "numeric", timeZone: "UTC" },
+  );
+  getWeekdayNames().forEach((weekday) => {
+    const cellEl = document.createElement("th");
+    cellEl.scope = "col";
+    cellEl.textContent = weekday;
+    headRowEl.appendChild(cellEl);
+  });
+  headEl.appendChild(headRowEl);
+
+  let rowEl = null;
+  for (let i = 0; i < leadingBlanks + daysInMonth; i++) {
+    if (i % 7 === 0) {
+      rowEl = document.createElement("tr");
+      bodyEl.appendChild(rowEl);
+    }
+    const cellEl = document.createElement("td");
+    rowEl.appendChild(cellEl);
+    if (i < leadingBlanks) {
+      continue;
+    }
+    const date = fromDayNumber(firstDay + i - leadingBlanks);
+    const labels = [formatDate(date)];
+    cellEl.textContent = formatNumber(i - leadingBlanks + 1);
+    cellEl.dataset.date = date;
+    cellEl.setAttribute("role", "gridcell");
+    cellEl.tabIndex = date === focusedDate ? 0 : -1;
+    if (periodDays.has(date)) {
+      cellEl.classList.add("period-day");
+      labels.push(t("calendarPeriod"));
+    } else if (predictedDays.has(date)) {
+      cellEl.classList.add("predicted-day");
+      labels.push(t("calendarPredicted"));
+    }
+    if (loggedDays.has(date)) {
+      cellEl.classList.add("logged-day");
+      labels.push(t("calendarLogged"));
+    }
+    cellEl.setAttribute("aria-label", labels.join(", "));
+  }
+
+  tableEl.append(captionEl, headEl, bodyEl);
+  return tableEl;
+}
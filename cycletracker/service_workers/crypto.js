@@ -0,0 +1,61 @@
+// WebCrypto helpers for cycleTracker app
+// Derives an AES-GCM key from the user's passphrase with PBKDF2
+
+// -------------
+// Variable declarations
+// -------------
+
+// OWASP's current recommendation for PBKDF2 with SHA-256
+const PBKDF2_ITERATIONS = 600000;
+const SALT_BYTES = 16;
+// 96 bits is the recommended IV length for AES-GCM
+const IV_BYTES = 12;
+
+// -------------
+// Functionality
+// -------------
+
+// 1. Random salt for a new passphrase
+function createSalt() {
+  return crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+}
+
+// 2. Turn a passphrase and salt into a non-extractable AES-GCM key
+async function deriveKey(passphrase, salt, iterations = PBKDF2_ITERATIONS) {
+  const baseKey = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveKey"],
+  );
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+    baseKey,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"],
+  );
+}
+
+// 3. Encrypt any JSON-serializable value with a fresh IV
+async function encryptJson(key, value) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    key,
+    new TextEncoder().encode(JSON.stringify(value)),
+  );
+  return { iv, ciphertext };
+}
+
+// 4. Decrypt a value from encryptJson(). Rejects if the key is wrong
+// or the data was tampered with, since AES-GCM authenticates it.
+async function decryptJson(key, { iv, ciphertext }) {
+  const plaintext = await crypto.subtle.decrypt(
+    { name: "AES-GCM", iv },
+    key,
+    ciphertext,
+  );
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
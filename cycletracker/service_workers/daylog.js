@@ -0,0 +1,91 @@
+// Day logs for cycleTracker app
+// A day log is {id, date, flow, symptoms, mood, note} for a single day.
+// It belongs to the period whose dates cover it, or stands alone, so
+// editing a period's dates never leaves a log pointing at the wrong one.
+
+// -------------
+// Variable declarations
+// -------------
+
+// Lightest to heaviest; the index is used to compare flow levels
+const FLOW_LEVELS = ["none", "spotting", "light", "medium", "heavy"];
+const MOODS = ["happy", "calm", "tired", "sad", "anxious", "irritable"];
+
+// Built-in symptoms are translated; ones the user adds keep their label
+const DEFAULT_SYMPTOMS = [
+  { id: "cramps" },
+  { id: "headache" },
+  { id: "bloating" },
+  { id: "tender-breasts" },
+  { id: "acne" },
+  { id: "fatigue" },
+  { id: "back-pain" },
+  { id: "nausea" },
+];
+
+// -------------
+// Functionality
+// -------------
+
+// 1. The period covering a date, if any
+function findPeriodForDate(periods, date) {
+  return (
+    periods.find(
+      (period) => period.startDate <= date && date <= period.endDate,
+    ) ?? null
+  );
+}
+
+// 2. Split logs by period id, oldest day first, plus the standalone ones
+function groupDayLogs(periods, dayLogs) {
+  const byPeriodId = new Map();
+  const standalone = [];
+  [...dayLogs]
+    .sort((a, b) => (a.date < b.date ? -1 : 1))
+    .forEach((dayLog) => {
+      const period = findPeriodForDate(periods, dayLog.date);
+      if (!period) {
+        standalone.push(dayLog);
+        return;
+      }
+      if (!byPeriodId.has(period.id)) {
+        byPeriodId.set(period.id, []);
+      }
+      byPeriodId.get(period.id).push(dayLog);
+    });
+  return { byPeriodId, standalone };
+}
+
+// 3. A log with nothing recorded isn't worth keeping
+function isDayLogEmpty({ flow, symptoms, mood, note }) {
+  return (
+    (!flow || flow === "none") && symptoms.length === 0 && !mood && !note.trim()
+  );
+}
+
+// 4. Edit the symptom list. Removed symptoms are only hidden from the
+// form, so logs that already use them can still show their label
+function removeSymptom(symptoms, id) {
+  return symptoms.map((symptom) =>
+    symptom.id === id ? { ...symptom, hidden: true } : symptom,
+  );
+}
+
+// getLabel gives the shown label, so retyping a built-in symptom by its
+// translated name finds it rather than adding a copy
+function addSymptom(symptoms, label, getLabel = (symptom) => symptom.label) {
+  const trimmed = label.trim();
+  const existing = symptoms.find(
+    (symptom) => getLabel(symptom)?.toLowerCase() === trimmed.toLowerCase(),
+  );
+  if (!trimmed) {
+    return symptoms;
+  }
+  if (existing) {
+    // Adding a removed symptom again brings it back
+    return symptoms.map((symptom) =>
+      symptom === existing ? { ...symptom, hidden: false } : symptom,
+    );
+  }
+  return [...symptoms, { id: `custom-${Date.now()}`, label: trimmed }];
+}
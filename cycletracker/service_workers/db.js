@@ -0,0 +1,393 @@
+// IndexedDB period repository for cycleTracker app
+// Plain script so it can be loaded by the page and by the service worker
+
+// -------------
+// Variable declarations
+// -------------
+const DB_NAME = "period-tracker";
+// Bump this and add a step to upgradeDatabase() when the schema changes
+const DB_VERSION = 3;
+const PERIOD_STORE = "periods";
+// Per-day flow, symptoms, mood and notes
+const DAY_LOG_STORE = "day-logs";
+const SETTINGS_STORE = "settings";
+const LOCK_SETTINGS_KEY = "lock";
+const SYMPTOM_LIST_KEY = "symptoms";
+const REMINDER_SETTINGS_KEY = "reminders";
+// Encrypted into the lock settings to check a passphrase on unlock
+const LOCK_CHECK_VALUE = "cycletracker";
+
+// Key used by earlier versions of the app, which kept every period
+// in a single localStorage JSON blob
+const LEGACY_STORAGE_KEY = "period-tracker";
+
+let dbPromise = null;
+// AES-GCM key for the current session, set by unlock()
+let sessionKey = null;
+
+// -------------
+// Functionality
+// -------------
+
+// 1. Open the database, creating or upgrading it as needed
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        upgradeDatabase(request.result, event.oldVersion);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    })
+      .then(async (db) => {
+        // Another tab may open a newer version; let it take over
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        await migrateLegacyPeriods(db);
+        return db;
+      })
+      .catch((error) => {
+        dbPromise = null;
+        throw error;
+      });
+  }
+  return dbPromise;
+}
+
+// 2. Schema changes, one step per version
+function upgradeDatabase(db, oldVersion) {
+  // Each case falls through so a fresh install runs every step
+  switch (oldVersion) {
+    case 0: {
+      const store = db.createObjectStore(PERIOD_STORE, {
+        keyPath: "id",
+        autoIncrement: true,
+      });
+      store.createIndex("startDate", "startDate");
+    }
+    // falls through
+    case 1:
+      db.createObjectStore(SETTINGS_STORE);
+    // falls through
+    case 2:
+      // Keyed by id rather than date, so the date can be encrypted too
+      db.createObjectStore(DAY_LOG_STORE, {
+        keyPath: "id",
+        autoIncrement: true,
+      });
+  }
+}
+
+// 3. Move periods saved by the localStorage version of the app
+function migrateLegacyPeriods(db) {
+  if (typeof localStorage === "undefined") {
+    // Service workers have no localStorage; the page migrates instead
+    return Promise.resolve();
+  }
+  const data = localStorage.getItem(LEGACY_STORAGE_KEY);
+  if (!data) {
+    return Promise.resolve();
+  }
+  let legacyPeriods;
+  try {
+    legacyPeriods = JSON.parse(data);
+  } catch (error) {
+    // Leave unreadable data where it is rather than discard it
+    console.error("Could not parse stored periods, skipping migration", error);
+    return Promise.resolve();
+  }
+  if (!Array.isArray(legacyPeriods)) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(PERIOD_STORE, "readwrite");
+    const store = tx.objectStore(PERIOD_STORE);
+    const existingRequest = store.getAll();
+    existingRequest.onsuccess = () => {
+      // Skip anything already copied, in case an earlier run was
+      // interrupted before the legacy key could be removed
+      const existing = new Set(
+        existingRequest.result.map(
+          (period) => `${period.startDate}/${period.endDate}`,
+        ),
+      );
+      legacyPeriods.forEach(({ startDate, endDate }) => {
+        if (!existing.has(`${startDate}/${endDate}`)) {
+          store.add({ startDate, endDate });
+        }
+      });
+    };
+    // Only drop the old copy once the new one is committed
+    tx.oncomplete = () => {
+      localStorage.removeItem(LEGACY_STORAGE_KEY);
+      resolve();
+    };
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// 4. Run a single request against one store
+async function runRequest(storeName, mode, createRequest) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = createRequest(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function runPeriodRequest(mode, createRequest) {
+  return runRequest(PERIOD_STORE, mode, createRequest);
+}
+
+// 5. Create, read, update and delete periods
+async function addPeriod({ startDate, endDate }) {
+  const record = await sealRecord({ startDate, endDate });
+  return runPeriodRequest("readwrite", (store) => store.add(record));
+}
+
+async function getAllPeriods() {
+  const records = await runPeriodRequest("readonly", (store) => store.getAll());
+  return Promise.all(records.map(openRecord));
+}
+
+async function getPeriod(id) {
+  const record = await runPeriodRequest("readonly", (store) => store.get(id));
+  return record ? openRecord(record) : record;
+}
+
+async function updatePeriod(id, { startDate, endDate }) {
+  const existing = await getPeriod(id);
+  if (!existing) {
+    throw new Error(`No period with id ${id}`);
+  }
+  const record = await sealRecord({ ...existing, startDate, endDate, id });
+  return runPeriodRequest("readwrite", (store) => store.put(record));
+}
+
+function deletePeriod(id) {
+  return runPeriodRequest("readwrite", (store) => store.delete(id));
+}
+
+// Put back a deleted period, keeping its original id
+async function restorePeriod(period) {
+  const record = await sealRecord(period);
+  return runPeriodRequest("readwrite", (store) => store.put(record));
+}
+
+// 6. Day logs: {date, flow, symptoms, mood, note}. They belong to
+// whichever period covers their date, or stand alone (see daylog.js)
+async function getAllDayLogs() {
+  const records = await runRequest(DAY_LOG_STORE, "readonly", (store) =>
+    store.getAll(),
+  );
+  return Promise.all(records.map(openRecord));
+}
+
+// Adds the log, or replaces it when it has an id
+async function saveDayLog(dayLog) {
+  const record = await sealRecord(dayLog);
+  return runRequest(DAY_LOG_STORE, "readwrite", (store) => store.put(record));
+}
+
+function deleteDayLog(id) {
+  return runRequest(DAY_LOG_STORE, "readwrite", (store) => store.delete(id));
+}
+
+// The configurable symptom list; null until the user changes it.
+// Custom labels are personal, so it is sealed like the other records.
+async function getSymptomList() {
+  const record = await runRequest(SETTINGS_STORE, "readonly", (store) =>
+    store.get(SYMPTOM_LIST_KEY),
+  );
+  if (!record) {
+    return null;
+  }
+  if (Array.isArray(record)) {
+    // Saved as a bare plaintext array by earlier versions, even while
+    // locked, so store it again the current way
+    await saveSymptomList(record);
+    return record;
+  }
+  return (await openRecord(record)).symptoms;
+}
+
+async function saveSymptomList(symptoms) {
+  const record = await sealRecord({ symptoms });
+  return runRequest(SETTINGS_STORE, "readwrite", (store) =>
+    store.put(record, SYMPTOM_LIST_KEY),
+  );
+}
+
+// Reminder choices and the planned schedule (see reminders.js).
+// Stored unencrypted so the service worker can read it while locked.
+function getReminderSettings() {
+  return runRequest(SETTINGS_STORE, "readonly", (store) =>
+    store.get(REMINDER_SETTINGS_KEY),
+  );
+}
+
+// Read and write the reminder settings in one transaction, so the page
+// and the service worker can't overwrite each other's changes.
+// change() gets the stored settings (or undefined) and must be synchronous.
+async function updateReminderSettings(change) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(SETTINGS_STORE, "readwrite");
+    const store = tx.objectStore(SETTINGS_STORE);
+    const getRequest = store.get(REMINDER_SETTINGS_KEY);
+    let settings;
+    getRequest.onsuccess = () => {
+      settings = change(getRequest.result);
+      store.put(settings, REMINDER_SETTINGS_KEY);
+    };
+    tx.oncomplete = () => resolve(settings);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// 7. Passphrase lock (see crypto.js)
+// When a passphrase is set every period and day log, and the symptom
+// list, is stored as {id, iv, ciphertext}.
+// The key only lives in memory, so each page load starts locked.
+async function getLockSettings() {
+  return runRequest(SETTINGS_STORE, "readonly", (store) =>
+    store.get(LOCK_SETTINGS_KEY),
+  );
+}
+
+async function isLockEnabled() {
+  return Boolean(await getLockSettings());
+}
+
+function isUnlocked() {
+  return sessionKey !== null;
+}
+
+// Returns false if the passphrase is wrong
+async function unlock(passphrase) {
+  const settings = await getLockSettings();
+  if (!settings) {
+    return true;
+  }
+  const key = await deriveKey(passphrase, settings.salt, settings.iterations);
+  try {
+    await decryptJson(key, settings.check);
+  } catch (error) {
+    return false;
+  }
+  sessionKey = key;
+  return true;
+}
+
+function lock() {
+  sessionKey = null;
+}
+
+// Encrypt everything under a new passphrase, or set one for the first time
+async function setPassphrase(passphrase) {
+  const periods = await getAllPeriods();
+  const dayLogs = await getAllDayLogs();
+  const symptoms = await getSymptomList();
+  const salt = createSalt();
+  const key = await deriveKey(passphrase, salt);
+  const periodRecords = await Promise.all(
+    periods.map((period) => sealRecord(period, key)),
+  );
+  const dayLogRecords = await Promise.all(
+    dayLogs.map((dayLog) => sealRecord(dayLog, key)),
+  );
+  const symptomRecord = symptoms && (await sealRecord({ symptoms }, key));
+  const settings = {
+    salt,
+    iterations: PBKDF2_ITERATIONS,
+    check: await encryptJson(key, LOCK_CHECK_VALUE),
+  };
+  await rewriteAllRecords(
+    periodRecords,
+    dayLogRecords,
+    symptomRecord,
+    settings,
+  );
+  sessionKey = key;
+}
+
+// Decrypt everything and store it in plaintext again
+async function removePassphrase() {
+  const periods = await getAllPeriods();
+  const dayLogs = await getAllDayLogs();
+  const symptoms = await getSymptomList();
+  await rewriteAllRecords(periods, dayLogs, symptoms && { symptoms }, null);
+  sessionKey = null;
+}
+
+// Swap every record and the lock settings in one transaction,
+// so a failure part way can't leave a mix of keys behind
+async function rewriteAllRecords(
+  periodRecords,
+  dayLogRecords,
+  symptomRecord,
+  settings,
+) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(
+      [PERIOD_STORE, DAY_LOG_STORE, SETTINGS_STORE],
+      "readwrite",
+    );
+    const periodStore = tx.objectStore(PERIOD_STORE);
+    const dayLogStore = tx.objectStore(DAY_LOG_STORE);
+    const settingsStore = tx.objectStore(SETTINGS_STORE);
+    periodStore.clear();
+    periodRecords.forEach((record) => periodStore.put(record));
+    dayLogStore.clear();
+    dayLogRecords.forEach((record) => dayLogStore.put(record));
+    if (symptomRecord) {
+      settingsStore.put(symptomRecord, SYMPTOM_LIST_KEY);
+    }
+    if (settings) {
+      settingsStore.put(settings, LOCK_SETTINGS_KEY);
+    } else {
+      settingsStore.delete(LOCK_SETTINGS_KEY);
+    }
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// Encrypt a period, day log or the symptom list for storage if a passphrase is in use
+async function sealRecord(item, key = sessionKey) {
+  const { id, ...data } = item;
+  if (!key) {
+    if (await isLockEnabled()) {
+      throw new Error("Period data is locked");
+    }
+    return item;
+  }
+  const record = await encryptJson(key, data);
+  if (id !== undefined) {
+    record.id = id;
+  }
+  return record;
+}
+
+// Decrypt a stored record if it was encrypted
+async function openRecord(record) {
+  if (!record.ciphertext) {
+    return record;
+  }
+  if (!sessionKey) {
+    throw new Error("Period data is locked");
+  }
+  const data = await decryptJson(sessionKey, record);
+  return { ...data, id: record.id };
+}
@@ -0,0 +1,599 @@
+// Message catalog and locale handling for cycleTracker app
+
+// -------------
+// Variable declarations
+// -------------
+const DEFAULT_LOCALE = "en";
+// Chosen in the language menu; without it we follow the browser
+const LOCALE_STORAGE_KEY = "period-tracker-locale";
+const RTL_LOCALES = ["ar"];
+
+// Messages can use {name} placeholders. Messages that depend on a count
+// are objects keyed by Intl.PluralRules category, with "other" required.
+const MESSAGES = {
+  en: {
+    languageName: "English",
+    appTitle: "Cycle Tracker",
+    heading: "Period tracker",
+    language: "Language",
+    languageAutomatic: "Automatic",
+    unlockHeading: "Unlock your data",
+    passphrase: "Passphrase",
+    unlock: "Unlock",
+    wrongPassphrase: "That passphrase isn't right.",
+    newPeriodLegend: "Enter your period start and end date",
+    startDate: "Start date",
+    endDate: "End date",
+    addPeriod: "Add Period",
+    passphraseLock: "Passphrase lock",
+    passphraseLegend: "Set a passphrase to encrypt your data",
+    currentPassphrase: "Current passphrase",
+    newPassphrase: "New passphrase",
+    confirmPassphrase: "Confirm new passphrase",
+    passphraseWarning:
+      "If you forget your passphrase, your data can't be recovered.",
+    setPassphrase: "Set passphrase",
+    changePassphrase: "Change passphrase",
+    removePassphrase: "Remove passphrase",
+    lockNow: "Lock now",
+    passphraseEnabled: "Your data is encrypted with a passphrase.",
+    passphraseDisabled:
+      "Your data is stored on this device without a passphrase.",
+    passphraseSet: "Your data is now encrypted with the new passphrase.",
+    passphraseRemoved: "Passphrase removed. Your data is not encrypted.",
+    confirmRemovePassphrase: "Store your data without encryption?",
+    passphraseTooShort: {
+      one: "Use at least {count} character.",
+      other: "Use at least {count} characters.",
+    },
+    passphraseMismatch: "The passphrases don't match.",
+    errorPassphraseFailed: "Couldn't update the passphrase. Please try again.",
+    transferHeading: "Export and import",
+    exportJson: "Export JSON",
+    exportCsv: "Export CSV",
+    exportIcs: "Export calendar (.ics)",
+    importLabel: "Import from a JSON, CSV or .ics file",
+    importUnreadable: "Couldn't read {fileName}.",
+    importSummary: "Imported {fileName}: added {added}, skipped {skipped}.",
+    importFailed:
+      "Couldn't finish importing {fileName}: added {added} before the error.",
+    importSkipped: "{period}: {reason}",
+    errorRequired: "Please enter a date.",
+    errorInvalidDate: "This isn't a valid date.",
+    errorFuture: "This date is in the future.",
+    errorEndBeforeStart: "The end date must be on or after the start date.",
+    errorTooLong: {
+      one: "A period can't last more than {count} day.",
+      other: "A period can't last more than {count} days.",
+    },
+    errorDuplicate: "This period has already been logged.",
+    errorOverlap: "This overlaps the period from {startDate} to {endDate}.",
+    errorGeneric: "Please check this date.",
+    errorSaveFailed: "Couldn't save this period. Please try again.",
+    errorDeleteFailed: "Couldn't delete this period. Please try again.",
+    errorRestoreFailed: "Couldn't put this period back. Please try again.",
+    pastPeriods: "Past periods",
+    periodRange: "From {startDate} to {endDate}",
+    dateRange: "{startDate} to {endDate}",
+    edit: "Edit",
+    delete: "Delete",
+    editPeriod: "Edit period {period}",
+    deletePeriod: "Delete period {period}",
+    save: "Save",
+    cancel: "Cancel",
+    undo: "Undo",
+    deletedPeriod: "Deleted period from {startDate} to {endDate}.",
+    statsHeading: "Cycle statistics",
+    averagePeriodLength: "Average period length",
+    averageCycleLength: "Average cycle length",
+    cycleVariability: "Cycle variability",
+    nextPeriodExpected: "Next period expected",
+    days: { one: "{count} day", other: "{count} days" },
+    variability: "± {days}",
+    needTwoPeriods:
+      "Log at least two periods to see cycle length and a prediction.",
+    lowConfidence: "Low confidence: {notes}",
+    noteFewPeriods: {
+      one: "Based on fewer than {count} period.",
+      other: "Based on fewer than {count} periods.",
+    },
+    noteOutliers: {
+      one: "Ignored {count} unusual cycle length ({lengths}).",
+      other: "Ignored {count} unusual cycle lengths ({lengths}).",
+    },
+    viewList: "List",
+    viewCalendar: "Calendar",
+    previousMonth: "Previous month",
+    nextMonth: "Next month",
+    calendarPeriod: "period",
+    calendarPredicted: "predicted period",
+    updateAvailable: "A new version ({version}) is available.",
+    updateAvailableNoVersion: "A new version is available.",
+    reload: "Reload",
+    calendarLogged: "day logged",
+    logHeading: "Log a day",
+    logDate: "Date",
+    flow: "Flow",
+    symptoms: "Symptoms",
+    mood: "Mood",
+    note: "Note",
+    notRecorded: "Not recorded",
+    editDayLog: "Edit log for {date}",
+    saveDay: "Save day",
+    deleteDay: "Delete day",
+    dayLogSaved: "Saved {date}.",
+    dayLogDeleted: "Deleted the log for {date}.",
+    symptomSettings: "Symptom list",
+    newSymptom: "New symptom",
+    addSymptom: "Add symptom",
+    removeSymptom: "Remove {symptom}",
+    otherLoggedDays: "Other logged days",
+    flowDescription: "{flow} flow",
+    moodDescription: "mood: {mood}",
+    daysLogged: "Days logged",
+    commonSymptoms: "Most common symptoms",
+    commonMood: "Most common mood",
+    heaviestFlowDay: "Heaviest flow",
+    heaviestFlowDayValue: "Day {count} of the period",
+    symptomCount: "{symptom} ({count})",
+    reminderSettings: "Reminders",
+    remindUpcoming: "Remind me before my next period",
+    reminderDaysBefore: "Days before",
+    remindMissing: "Remind me to log each day of a period",
+    remindersPrivacy:
+      "To show reminders while the app is closed, their times are stored without encryption. With a passphrase lock, nothing else stored about them includes your dates.",
+    saveReminders: "Save reminders",
+    remindersSaved: "Reminders saved.",
+    remindersOff: "Reminders turned off.",
+    remindersUnsupported: "This browser can't show notifications.",
+    remindersBlocked:
+      "Notifications are blocked. Allow them in your browser settings to get reminders.",
+    remindersWhenOpened:
+      "This browser can't schedule notifications, so reminders appear when you next open the app.",
+    upcomingTitle: "Period expected soon",
+    upcomingBody:
+      "Your next period is expected between {earliest} and {latest}.",
+    missingTitle: "Log your day",
+    missingBody: "Nothing is logged for {date} yet.",
+    lockedReminderTitle: "Cycle Tracker reminder",
+    lockedReminderBody: "You have a reminder. Unlock the app to see it.",
+    "flow.none": "None",
+    "flow.spotting": "Spotting",
+    "flow.light": "Light",
+    "flow.medium": "Medium",
+    "flow.heavy": "Heavy",
+    "mood.happy": "Happy",
+    "mood.calm": "Calm",
+    "mood.tired": "Tired",
+    "mood.sad": "Sad",
+    "mood.anxious": "Anxious",
+    "mood.irritable": "Irritable",
+    "symptom.cramps": "Cramps",
+    "symptom.headache": "Headache",
+    "symptom.bloating": "Bloating",
+    "symptom.tender-breasts": "Tender breasts",
+    "symptom.acne": "Acne",
+    "symptom.fatigue": "Fatigue",
+    "symptom.back-pain": "Back pain",
+    "symptom.nausea": "Nausea",
+  },
+  es: {
+    languageName: "Español",
+    appTitle: "Cycle Tracker",
+    heading: "Registro de periodos",
+    language: "Idioma",
+    languageAutomatic: "Automático",
+    unlockHeading: "Desbloquea tus datos",
+    passphrase: "Frase de contraseña",
+    unlock: "Desbloquear",
+    wrongPassphrase: "La frase de contraseña no es correcta.",
+    newPeriodLegend: "Introduce la fecha de inicio y fin de tu periodo",
+    startDate: "Fecha de inicio",
+    endDate: "Fecha de fin",
+    addPeriod: "Añadir periodo",
+    passphraseLock: "Bloqueo con frase de contraseña",
+    passphraseLegend: "Define una frase de contraseña para cifrar tus datos",
+    currentPassphrase: "Frase de contraseña actual",
+    newPassphrase: "Nueva frase de contraseña",
+    confirmPassphrase: "Confirma la nueva frase de contraseña",
+    passphraseWarning:
+      "Si olvidas tu frase de contraseña, no podrás recuperar tus datos.",
+    setPassphrase: "Definir frase de contraseña",
+    changePassphrase: "Cambiar frase de contraseña",
+    removePassphrase: "Quitar frase de contraseña",
+    lockNow: "Bloquear ahora",
+    passphraseEnabled: "Tus datos están cifrados con una frase de contraseña.",
+    passphraseDisabled:
+      "Tus datos se guardan en este dispositivo sin frase de contraseña.",
+    passphraseSet: "Tus datos ahora están cifrados con la nueva frase.",
+    passphraseRemoved:
+      "Frase de contraseña quitada. Tus datos no están cifrados.",
+    confirmRemovePassphrase: "¿Guardar tus datos sin cifrar?",
+    passphraseTooShort: {
+      one: "Usa al menos {count} carácter.",
+      other: "Usa al menos {count} caracteres.",
+    },
+    passphraseMismatch: "Las frases de contraseña no coinciden.",
+    errorPassphraseFailed:
+      "No se pudo actualizar la frase de contraseña. Inténtalo de nuevo.",
+    transferHeading: "Exportar e importar",
+    exportJson: "Exportar JSON",
+    exportCsv: "Exportar CSV",
+    exportIcs: "Exportar calendario (.ics)",
+    importLabel: "Importar desde un archivo JSON, CSV o .ics",
+    importUnreadable: "No se pudo leer {fileName}.",
+    importSummary:
+      "{fileName} importado: {added} añadidos, {skipped} omitidos.",
+    importFailed:
+      "No se pudo terminar de importar {fileName}: se añadieron {added} antes del error.",
+    importSkipped: "{period}: {reason}",
+    errorRequired: "Introduce una fecha.",
+    errorInvalidDate: "Esta fecha no es válida.",
+    errorFuture: "Esta fecha está en el futuro.",
+    errorEndBeforeStart:
+      "La fecha de fin debe ser igual o posterior a la de inicio.",
+    errorTooLong: {
+      one: "Un periodo no puede durar más de {count} día.",
+      other: "Un periodo no puede durar más de {count} días.",
+    },
+    errorDuplicate: "Este periodo ya está registrado.",
+    errorOverlap: "Se solapa con el periodo del {startDate} al {endDate}.",
+    errorGeneric: "Revisa esta fecha.",
+    errorSaveFailed: "No se pudo guardar este periodo. Inténtalo de nuevo.",
+    errorDeleteFailed: "No se pudo borrar este periodo. Inténtalo de nuevo.",
+    errorRestoreFailed:
+      "No se pudo recuperar este periodo. Inténtalo de nuevo.",
+    pastPeriods: "Periodos anteriores",
+    periodRange: "Del {startDate} al {endDate}",
+    dateRange: "Del {startDate} al {endDate}",
+    edit: "Editar",
+    delete: "Eliminar",
+    editPeriod: "Editar periodo {period}",
+    deletePeriod: "Eliminar periodo {period}",
+    save: "Guardar",
+    cancel: "Cancelar",
+    undo: "Deshacer",
+    deletedPeriod: "Periodo del {startDate} al {endDate} eliminado.",
+    statsHeading: "Estadísticas del ciclo",
+    averagePeriodLength: "Duración media del periodo",
+    averageCycleLength: "Duración media del ciclo",
+    cycleVariability: "Variabilidad del ciclo",
+    nextPeriodExpected: "Próximo periodo previsto",
+    days: { one: "{count} día", other: "{count} días" },
+    variability: "± {days}",
+    needTwoPeriods:
+      "Registra al menos dos periodos para ver la duración del ciclo y una previsión.",
+    lowConfidence: "Confianza baja: {notes}",
+    noteFewPeriods: {
+      one: "Basado en menos de {count} periodo.",
+      other: "Basado en menos de {count} periodos.",
+    },
+    noteOutliers: {
+      one: "Se ha ignorado {count} ciclo inusual ({lengths}).",
+      other: "Se han ignorado {count} ciclos inusuales ({lengths}).",
+    },
+    viewList: "Lista",
+    viewCalendar: "Calendario",
+    previousMonth: "Mes anterior",
+    nextMonth: "Mes siguiente",
+    calendarPeriod: "periodo",
+    calendarPredicted: "periodo previsto",
+    updateAvailable: "Hay una nueva versión ({version}) disponible.",
+    updateAvailableNoVersion: "Hay una nueva versión disponible.",
+    reload: "Recargar",
+    calendarLogged: "día registrado",
+    logHeading: "Registrar un día",
+    logDate: "Fecha",
+    flow: "Flujo",
+    symptoms: "Síntomas",
+    mood: "Estado de ánimo",
+    note: "Nota",
+    notRecorded: "Sin registrar",
+    editDayLog: "Editar registro del {date}",
+    saveDay: "Guardar día",
+    deleteDay: "Eliminar día",
+    dayLogSaved: "{date} guardado.",
+    dayLogDeleted: "Registro del {date} eliminado.",
+    symptomSettings: "Lista de síntomas",
+    newSymptom: "Nuevo síntoma",
+    addSymptom: "Añadir síntoma",
+    removeSymptom: "Quitar {symptom}",
+    otherLoggedDays: "Otros días registrados",
+    flowDescription: "flujo: {flow}",
+    moodDescription: "ánimo: {mood}",
+    daysLogged: "Días registrados",
+    commonSymptoms: "Síntomas más frecuentes",
+    commonMood: "Estado de ánimo más frecuente",
+    heaviestFlowDay: "Flujo más abundante",
+    heaviestFlowDayValue: "Día {count} del periodo",
+    symptomCount: "{symptom} ({count})",
+    reminderSettings: "Recordatorios",
+    remindUpcoming: "Avisarme antes del próximo periodo",
+    reminderDaysBefore: "Días de antelación",
+    remindMissing: "Recordarme registrar cada día del periodo",
+    remindersPrivacy:
+      "Para mostrar recordatorios con la aplicación cerrada, sus horas se guardan sin cifrar. Con bloqueo por frase de contraseña, nada más de lo que se guarda sobre ellos incluye tus fechas.",
+    saveReminders: "Guardar recordatorios",
+    remindersSaved: "Recordatorios guardados.",
+    remindersOff: "Recordatorios desactivados.",
+    remindersUnsupported: "Este navegador no puede mostrar notificaciones.",
+    remindersBlocked:
+      "Las notificaciones están bloqueadas. Permítelas en la configuración del navegador para recibir recordatorios.",
+    remindersWhenOpened:
+      "Este navegador no puede programar notificaciones, así que los recordatorios aparecerán la próxima vez que abras la aplicación.",
+    upcomingTitle: "Periodo próximo",
+    upcomingBody:
+      "Se espera el próximo periodo entre el {earliest} y el {latest}.",
+    missingTitle: "Registra tu día",
+    missingBody: "Todavía no hay nada registrado el {date}.",
+    lockedReminderTitle: "Recordatorio de Cycle Tracker",
+    lockedReminderBody:
+      "Tienes un recordatorio. Desbloquea la aplicación para verlo.",
+    "flow.none": "Ninguno",
+    "flow.spotting": "Manchado",
+    "flow.light": "Ligero",
+    "flow.medium": "Moderado",
+    "flow.heavy": "Abundante",
+    "mood.happy": "Alegría",
+    "mood.calm": "Calma",
+    "mood.tired": "Cansancio",
+    "mood.sad": "Tristeza",
+    "mood.anxious": "Ansiedad",
+    "mood.irritable": "Irritabilidad",
+    "symptom.cramps": "Calambres",
+    "symptom.headache": "Dolor de cabeza",
+    "symptom.bloating": "Hinchazón",
+    "symptom.tender-breasts": "Sensibilidad en los senos",
+    "symptom.acne": "Acné",
+    "symptom.fatigue": "Fatiga",
+    "symptom.back-pain": "Dolor de espalda",
+    "symptom.nausea": "Náuseas",
+  },
+  ar: {
+    languageName: "العربية",
+    appTitle: "متتبع الدورة",
+    heading: "متتبع الدورة الشهرية",
+    language: "اللغة",
+    languageAutomatic: "تلقائي",
+    unlockHeading: "فتح البيانات",
+    passphrase: "عبارة المرور",
+    unlock: "فتح",
+    wrongPassphrase: "عبارة المرور غير صحيحة.",
+    newPeriodLegend: "إدخال تاريخ بداية الدورة ونهايتها",
+    startDate: "تاريخ البداية",
+    endDate: "تاريخ النهاية",
+    addPeriod: "إضافة دورة",
+    passphraseLock: "القفل بعبارة مرور",
+    passphraseLegend: "تعيين عبارة مرور لتشفير البيانات",
+    currentPassphrase: "عبارة المرور الحالية",
+    newPassphrase: "عبارة المرور الجديدة",
+    confirmPassphrase: "تأكيد عبارة المرور الجديدة",
+    passphraseWarning: "في حال نسيان عبارة المرور لا يمكن استعادة البيانات.",
+    setPassphrase: "تعيين عبارة المرور",
+    changePassphrase: "تغيير عبارة المرور",
+    removePassphrase: "إزالة عبارة المرور",
+    lockNow: "القفل الآن",
+    passphraseEnabled: "بياناتك مشفرة بعبارة مرور.",
+    passphraseDisabled: "بياناتك محفوظة على هذا الجهاز دون عبارة مرور.",
+    passphraseSet: "بياناتك الآن مشفرة بعبارة المرور الجديدة.",
+    passphraseRemoved: "أزيلت عبارة المرور. بياناتك غير مشفرة.",
+    confirmRemovePassphrase: "حفظ البيانات دون تشفير؟",
+    passphraseTooShort: {
+      other: "يلزم استخدام {count} أحرف على الأقل.",
+    },
+    passphraseMismatch: "عبارتا المرور غير متطابقتين.",
+    errorPassphraseFailed: "تعذّر تحديث عبارة المرور. يرجى المحاولة مرة أخرى.",
+    transferHeading: "التصدير والاستيراد",
+    exportJson: "تصدير JSON",
+    exportCsv: "تصدير CSV",
+    exportIcs: "تصدير التقويم (.ics)",
+    importLabel: "استيراد من ملف JSON أو CSV أو .ics",
+    importUnreadable: "تعذرت قراءة {fileName}.",
+    importSummary: "استيراد {fileName}: أضيف {added}، وتم تخطي {skipped}.",
+    importFailed: "تعذّر إكمال استيراد {fileName}: أضيف {added} قبل الخطأ.",
+    importSkipped: "{period}: {reason}",
+    errorRequired: "يرجى إدخال تاريخ.",
+    errorInvalidDate: "هذا التاريخ غير صالح.",
+    errorFuture: "هذا التاريخ في المستقبل.",
+    errorEndBeforeStart: "يجب أن يكون تاريخ النهاية في تاريخ البداية أو بعده.",
+    errorTooLong: {
+      other: "لا يمكن أن تستمر الدورة أكثر من {count} يومًا.",
+    },
+    errorDuplicate: "هذه الدورة مسجلة بالفعل.",
+    errorOverlap: "تتداخل مع الدورة من {startDate} إلى {endDate}.",
+    errorGeneric: "يرجى التحقق من هذا التاريخ.",
+    errorSaveFailed: "تعذّر حفظ هذه الدورة. يرجى المحاولة مرة أخرى.",
+    errorDeleteFailed: "تعذّر حذف هذه الدورة. يرجى المحاولة مرة أخرى.",
+    errorRestoreFailed: "تعذّرت استعادة هذه الدورة. يرجى المحاولة مرة أخرى.",
+    pastPeriods: "الدورات السابقة",
+    periodRange: "من {startDate} إلى {endDate}",
+    dateRange: "من {startDate} إلى {endDate}",
+    edit: "تعديل",
+    delete: "حذف",
+    editPeriod: "تعديل الدورة {period}",
+    deletePeriod: "حذف الدورة {period}",
+    save: "حفظ",
+    cancel: "إلغاء",
+    undo: "تراجع",
+    deletedPeriod: "حُذفت الدورة من {startDate} إلى {endDate}.",
+    statsHeading: "إحصاءات الدورة",
+    averagePeriodLength: "متوسط مدة الدورة الشهرية",
+    averageCycleLength: "متوسط طول الدورة",
+    cycleVariability: "تفاوت الدورة",
+    nextPeriodExpected: "الدورة التالية المتوقعة",
+    days: {
+      zero: "{count} يوم",
+      one: "يوم واحد",
+      two: "يومان",
+      few: "{count} أيام",
+      many: "{count} يومًا",
+      other: "{count} يوم",
+    },
+    variability: "± {days}",
+    needTwoPeriods: "يلزم تسجيل دورتين على الأقل لعرض طول الدورة والتوقع.",
+    lowConfidence: "ثقة منخفضة: {notes}",
+    noteFewPeriods: {
+      other: "مبني على أقل من {count} دورات.",
+    },
+    noteOutliers: {
+      one: "تم تجاهل طول دورة غير معتاد ({lengths}).",
+      other: "تم تجاهل {count} من أطوال الدورات غير المعتادة ({lengths}).",
+    },
+    viewList: "قائمة",
+    viewCalendar: "تقويم",
+    previousMonth: "الشهر السابق",
+    nextMonth: "الشهر التالي",
+    calendarPeriod: "دورة",
+    calendarPredicted: "دورة متوقعة",
+    updateAvailable: "يتوفر إصدار جديد ({version}).",
+    updateAvailableNoVersion: "يتوفر إصدار جديد.",
+    reload: "إعادة التحميل",
+    calendarLogged: "يوم مسجل",
+    logHeading: "تسجيل يوم",
+    logDate: "التاريخ",
+    flow: "التدفق",
+    symptoms: "الأعراض",
+    mood: "المزاج",
+    note: "ملاحظة",
+    notRecorded: "غير مسجل",
+    editDayLog: "تعديل سجل {date}",
+    saveDay: "حفظ اليوم",
+    deleteDay: "حذف اليوم",
+    dayLogSaved: "تم حفظ {date}.",
+    dayLogDeleted: "تم حذف سجل {date}.",
+    symptomSettings: "قائمة الأعراض",
+    newSymptom: "عرض جديد",
+    addSymptom: "إضافة عرض",
+    removeSymptom: "إزالة {symptom}",
+    otherLoggedDays: "أيام مسجلة أخرى",
+    flowDescription: "التدفق: {flow}",
+    moodDescription: "المزاج: {mood}",
+    daysLogged: "الأيام المسجلة",
+    commonSymptoms: "الأعراض الأكثر شيوعًا",
+    commonMood: "المزاج الأكثر شيوعًا",
+    heaviestFlowDay: "أغزر تدفق",
+    heaviestFlowDayValue: "اليوم {count} من الدورة",
+    symptomCount: "{symptom} ({count})",
+    reminderSettings: "التذكيرات",
+    remindUpcoming: "التذكير قبل الدورة القادمة",
+    reminderDaysBefore: "عدد الأيام قبلها",
+    remindMissing: "التذكير بتسجيل كل يوم من أيام الدورة",
+    remindersPrivacy:
+      "لعرض التذكيرات والتطبيق مغلق، تُحفظ أوقاتها دون تشفير. ومع تفعيل القفل بعبارة المرور، لا يتضمن أي شيء آخر يُحفظ عنها تواريخك.",
+    saveReminders: "حفظ التذكيرات",
+    remindersSaved: "تم حفظ التذكيرات.",
+    remindersOff: "تم إيقاف التذكيرات.",
+    remindersUnsupported: "لا يمكن لهذا المتصفح عرض الإشعارات.",
+    remindersBlocked:
+      "الإشعارات محظورة. يلزم السماح بها في إعدادات المتصفح لتلقي التذكيرات.",
+    remindersWhenOpened:
+      "لا يمكن لهذا المتصفح جدولة الإشعارات، لذا تظهر التذكيرات عند فتح التطبيق في المرة القادمة.",
+    upcomingTitle: "موعد الدورة قريب",
+    upcomingBody: "يُتوقع بدء الدورة القادمة بين {earliest} و{latest}.",
+    missingTitle: "تسجيل اليوم",
+    missingBody: "لا يوجد تسجيل ليوم {date} بعد.",
+    lockedReminderTitle: "تذكير من Cycle Tracker",
+    lockedReminderBody: "لديك تذكير. افتح قفل التطبيق لرؤيته.",
+    "flow.none": "لا يوجد",
+    "flow.spotting": "تبقيع",
+    "flow.light": "خفيف",
+    "flow.medium": "متوسط",
+    "flow.heavy": "غزير",
+    "mood.happy": "سعادة",
+    "mood.calm": "هدوء",
+    "mood.tired": "تعب",
+    "mood.sad": "حزن",
+    "mood.anxious": "قلق",
+    "mood.irritable": "انفعال",
+    "symptom.cramps": "تقلصات",
+    "symptom.headache": "صداع",
+    "symptom.bloating": "انتفاخ",
+    "symptom.tender-breasts": "ألم الثدي",
+    "symptom.acne": "حب الشباب",
+    "symptom.fatigue": "إرهاق",
+    "symptom.back-pain": "ألم الظهر",
+    "symptom.nausea": "غثيان",
+  },
+};
+
+let currentLocale = DEFAULT_LOCALE;
+
+// -------------
+// Functionality
+// -------------
+
+// 1. Pick a locale: the saved choice, else the first supported browser language
+function detectLocale(languages = navigator.languages || [navigator.language]) {
+  const saved = localStorage.getItem(LOCALE_STORAGE_KEY);
+  if (saved in MESSAGES) {
+    return saved;
+  }
+  for (const language of languages) {
+    const base = language.toLowerCase().split("-")[0];
+    if (base in MESSAGES) {
+      return base;
+    }
+  }
+  return DEFAULT_LOCALE;
+}
+
+// Pass an empty string to go back to following the browser
+function setLocale(locale) {
+  if (locale) {
+    localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+  } else {
+    localStorage.removeItem(LOCALE_STORAGE_KEY);
+  }
+  currentLocale = detectLocale();
+  document.documentElement.lang = currentLocale;
+  document.documentElement.dir = isRtlLocale() ? "rtl" : "ltr";
+}
+
+function getSavedLocale() {
+  return localStorage.getItem(LOCALE_STORAGE_KEY) || "";
+}
+
+function isRtlLocale() {
+  return RTL_LOCALES.includes(currentLocale);
+}
+
+// 2. Locale for Intl formatting. Keeps the browser's region when it
+// speaks the chosen language, so en-GB users get day/month/year dates
+function getFormatLocale() {
+  const languages = navigator.languages || [navigator.language];
+  const regional = languages.find(
+    (language) => language.toLowerCase().split("-")[0] === currentLocale,
+  );
+  return regional || currentLocale;
+}
+
+function formatNumber(value) {
+  return new Intl.NumberFormat(getFormatLocale(), {
+    maximumFractionDigits: 1,
+  }).format(value);
+}
+
+// 3. Look up a message and fill in its placeholders
+function t(key, params = {}) {
+  const message =
+    MESSAGES[currentLocale][key] ?? MESSAGES[DEFAULT_LOCALE][key] ?? key;
+  const text =
+    typeof message === "string"
+      ? message
+      : (message[new Intl.PluralRules(currentLocale).select(params.count)] ??
+        message.other);
+  return text.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (!(name in params)) {
+      return placeholder;
+    }
+    const value = params[name];
+    return typeof value === "number" ? formatNumber(value) : String(value);
+  });
+}
+
+// 4. Translate static markup: data-i18n sets the text content
+function translatePage(root = document) {
+  root.querySelectorAll("[data-i18n]").forEach((element) => {
+    element.textContent = t(element.dataset.i18n);
+  });
+}
@@ -0,0 +1,121 @@
+// Reminder planning for cycleTracker app
+// Works out which reminders are due and when. The page adds the wording
+// and stores the plan, and the service worker shows them (see sw.js).
+// Uses computeCycleStats(), toDayNumber() and fromDayNumber() from stats.js
+// and getTodayString() from validation.js
+
+// -------------
+// Variable declarations
+// -------------
+
+// Local time of day each kind of reminder is shown at
+const UPCOMING_REMINDER_HOUR = 9;
+const MISSING_ENTRY_REMINDER_HOUR = 20;
+
+const DEFAULT_REMINDER_SETTINGS = {
+  remindUpcoming: false,
+  daysBefore: 2,
+  remindMissing: false,
+  schedule: [],
+};
+
+// -------------
+// Functionality
+// -------------
+
+// 1. Milliseconds timestamp for an hour of a local calendar date
+function getReminderTimestamp(dateString, hour) {
+  const [year, month, day] = dateString.split("-").map(Number);
+  return new Date(year, month - 1, day, hour).getTime();
+}
+
+// 2. The period that is probably still going on today, if any: the latest
+// one, when today is within its typical length from the start
+function findOngoingPeriod(periods, averagePeriodLength, today) {
+  const latest = [...periods].sort((a, b) =>
+    a.startDate < b.startDate ? 1 : -1,
+  )[0];
+  if (!latest || latest.startDate > today) {
+    return null;
+  }
+  const expectedLength = Math.max(
+    Math.round(averagePeriodLength ?? 0),
+    toDayNumber(latest.endDate) - toDayNumber(latest.startDate) + 1,
+  );
+  const expectedEnd = fromDayNumber(
+    toDayNumber(latest.startDate) + expectedLength - 1,
+  );
+  return expectedEnd >= today ? { ...latest, expectedEnd } : null;
+}
+
+// 3. Every reminder still relevant, as {tag, kind, date, timestamp}.
+// Ones whose time has passed are kept while they still apply, so one
+// missed while the app was closed is shown when it next opens.
+function planReminders(
+  { periods, dayLogs, remindUpcoming, daysBefore, remindMissing },
+  now = new Date(),
+) {
+  const today = getTodayString(now);
+  const stats = computeCycleStats(periods, dayLogs);
+  const reminders = [];
+
+  if (
+    remindUpcoming &&
+    stats.prediction &&
+    stats.prediction.earliest >= today
+  ) {
+    // Kept until the period is due, so if it's due sooner than daysBefore
+    // the past date makes the service worker show it straight away
+    const date = fromDayNumber(
+      toDayNumber(stats.prediction.earliest) - daysBefore,
+    );
+    reminders.push({
+      tag: `reminder-upcoming-${stats.prediction.earliest}`,
+      kind: "upcoming",
+      date,
+      timestamp: getReminderTimestamp(date, UPCOMING_REMINDER_HOUR),
+      prediction: stats.prediction,
+    });
+  }
+
+  const ongoing =
+    remindMissing &&
+    findOngoingPeriod(periods, stats.averagePeriodLength, today);
+  if (ongoing) {
+    const loggedDays = new Set(dayLogs.map((dayLog) => dayLog.date));
+    const first = Math.max(toDayNumber(ongoing.startDate), toDayNumber(today));
+    for (let day = first; day <= toDayNumber(ongoing.expectedEnd); day++) {
+      const date = fromDayNumber(day);
+      if (!loggedDays.has(date)) {
+        reminders.push({
+          tag: `reminder-missing-${date}`,
+          kind: "missing-entry",
+          date,
+          timestamp: getReminderTimestamp(date, MISSING_ENTRY_REMINDER_HOUR),
+        });
+      }
+    }
+  }
+
+  return reminders;
+}
+
+// 4. Carry over what the service worker already did with each reminder.
+// Matched on kind and time rather than tag, which changes with the
+// passphrase lock (see describeReminder() in app.js), so planning again
+// replaces rather than repeats. A notification scheduled under the old
+// tag is cancelled by the service worker, so it's scheduled again.
+function mergeReminderSchedule(oldSchedule, newSchedule) {
+  const key = (item) => `${item.kind} ${item.timestamp}`;
+  const previous = new Map(oldSchedule.map((item) => [key(item), item]));
+  return newSchedule.map((item) => {
+    const old = previous.get(key(item));
+    return old
+      ? {
+          ...item,
+          shown: old.shown,
+          triggered: old.tag === item.tag && old.triggered,
+        }
+      : item;
+  });
+}
@@ -0,0 +1,176 @@
+// Cycle statistics for cycleTracker app
+// Pure functions over stored {startDate, endDate} periods and day logs.
+// Uses FLOW_LEVELS and groupDayLogs() from daylog.js
+
+// -------------
+// Variable declarations
+// -------------
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+// Below this many logged periods the numbers are labelled low confidence
+const MIN_CONFIDENT_PERIODS = 3;
+
+// A cycle is an outlier when it is further than this many scaled median
+// absolute deviations from the median cycle, and at least OUTLIER_MIN_DAYS
+// away. The floor stops regular cycles from flagging a 1 day difference.
+const OUTLIER_MAD_FACTOR = 3;
+const OUTLIER_MIN_DAYS = 7;
+
+// Never predict a window narrower than this either side of the expected date
+const MIN_PREDICTION_MARGIN = 2;
+
+// -------------
+// Functionality
+// -------------
+
+// 1. Date helpers, working in whole UTC days like formatDate() does
+function toDayNumber(dateString) {
+  return Math.round(new Date(dateString).getTime() / DAY_IN_MS);
+}
+
+function fromDayNumber(dayNumber) {
+  return new Date(dayNumber * DAY_IN_MS).toISOString().slice(0, 10);
+}
+
+// 2. Basic statistics
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function standardDeviation(values) {
+  if (values.length < 2) {
+    return 0;
+  }
+  const average = mean(values);
+  return Math.sqrt(mean(values.map((value) => (value - average) ** 2)));
+}
+
+// 3. Split cycle lengths into the ones we trust and the outliers,
+// usually a missed or extra entry rather than a real cycle
+function partitionOutliers(cycleLengths) {
+  if (cycleLengths.length < MIN_CONFIDENT_PERIODS) {
+    return { kept: cycleLengths, outliers: [] };
+  }
+  const middle = median(cycleLengths);
+  // 1.4826 scales the MAD to match a standard deviation
+  const spread =
+    1.4826 * median(cycleLengths.map((length) => Math.abs(length - middle)));
+  const limit = Math.max(OUTLIER_MAD_FACTOR * spread, OUTLIER_MIN_DAYS);
+  const kept = [];
+  const outliers = [];
+  cycleLengths.forEach((length) => {
+    (Math.abs(length - middle) > limit ? outliers : kept).push(length);
+  });
+  return { kept, outliers };
+}
+
+// 4. Compute everything the statistics panel shows
+function computeCycleStats(periods, dayLogs = []) {
+  const sorted = [...periods].sort(
+    (a, b) => toDayNumber(a.startDate) - toDayNumber(b.startDate),
+  );
+  const periodLengths = sorted.map(
+    (period) => toDayNumber(period.endDate) - toDayNumber(period.startDate) + 1,
+  );
+  const cycleLengths = [];
+  for (let i = 1; i < sorted.length; i++) {
+    cycleLengths.push(
+      toDayNumber(sorted[i].startDate) - toDayNumber(sorted[i - 1].startDate),
+    );
+  }
+  const { kept, outliers } = partitionOutliers(cycleLengths);
+
+  const stats = {
+    periodCount: sorted.length,
+    cycleCount: kept.length,
+    outlierCount: outliers.length,
+    averagePeriodLength: periodLengths.length ? mean(periodLengths) : null,
+    averageCycleLength: kept.length ? mean(kept) : null,
+    cycleVariability: kept.length ? standardDeviation(kept) : null,
+    prediction: null,
+    dayLogs: computeDayLogStats(sorted, dayLogs),
+    lowConfidence: false,
+    confidenceNotes: [],
+  };
+
+  // Notes are codes so the page can word them in the user's language
+  if (sorted.length < MIN_CONFIDENT_PERIODS) {
+    stats.lowConfidence = true;
+    stats.confidenceNotes.push({
+      code: "few-periods",
+      minPeriods: MIN_CONFIDENT_PERIODS,
+    });
+  }
+  if (outliers.length) {
+    stats.lowConfidence = true;
+    stats.confidenceNotes.push({ code: "outliers", outliers });
+  }
+
+  if (stats.averageCycleLength !== null) {
+    const lastStart = toDayNumber(sorted[sorted.length - 1].startDate);
+    const expected = lastStart + Math.round(stats.averageCycleLength);
+    const margin = Math.max(
+      Math.ceil(stats.cycleVariability),
+      MIN_PREDICTION_MARGIN,
+    );
+    stats.prediction = {
+      expected: fromDayNumber(expected),
+      earliest: fromDayNumber(expected - margin),
+      latest: fromDayNumber(expected + margin),
+    };
+  }
+
+  return stats;
+}
+
+// 5. Summaries of the day logs
+function computeDayLogStats(periods, dayLogs) {
+  const symptomCounts = countValues(dayLogs.flatMap((log) => log.symptoms));
+  const moodCounts = countValues(
+    dayLogs.map((log) => log.mood).filter(Boolean),
+  );
+
+  // Which day of a period has the heaviest flow, averaged over periods
+  const { byPeriodId } = groupDayLogs(periods, dayLogs);
+  const heaviestDays = [];
+  periods.forEach((period) => {
+    const logs = (byPeriodId.get(period.id) ?? []).filter(
+      (log) => FLOW_LEVELS.indexOf(log.flow) > 0,
+    );
+    if (logs.length === 0) {
+      return;
+    }
+    const heaviest = logs.reduce((a, b) =>
+      FLOW_LEVELS.indexOf(b.flow) > FLOW_LEVELS.indexOf(a.flow) ? b : a,
+    );
+    heaviestDays.push(
+      toDayNumber(heaviest.date) - toDayNumber(period.startDate) + 1,
+    );
+  });
+
+  return {
+    loggedDays: dayLogs.length,
+    topSymptoms: symptomCounts.slice(0, 3),
+    commonMood: moodCounts.length ? moodCounts[0].value : null,
+    heaviestFlowDay: heaviestDays.length
+      ? Math.round(mean(heaviestDays))
+      : null,
+  };
+}
+
+// Distinct values with how often each appears, most frequent first
+function countValues(values) {
+  const counts = new Map();
+  values.forEach((value) => counts.set(value, (counts.get(value) ?? 0) + 1));
+  return [...counts]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count);
+}
@@ -1,26 +1,68 @@
+// Shared with the page: reminder settings live in the app's IndexedDB
+importScripts("db.js");
+
 // The version of the cache.
-const VERSION = "v1";
+// Changing it is what tells open pages a new version is available.
+const VERSION = "v23";
 
 // The name of the cache
 const CACHE_NAME = `period-tracker-${VERSION}`;
 
 // The static resources that the app needs to function.
+// Paths are relative to the service worker scope, so the app
+// works wherever it is hosted, not just at the site root.
 const APP_STATIC_RESOURCES = [
-  "/",
-  "/index.html",
-  "/app.js",
-  "/style.css",
-  "/icons/wheel.svg",
+  "./",
+  "index.html",
+  "i18n.js",
+  "crypto.js",
+  "db.js",
+  "daylog.js",
+  "stats.js",
+  "validation.js",
+  "transfer.js",
+  "calendar.js",
+  "reminders.js",
+  "app.js",
+  "style.css",
+  "cycletracker.json",
+  "favicon.ico",
+  "icons/circle.svg",
+  "icons/tire.svg",
+  "icons/wheel.svg",
 ];
 
-// On install, cache the static resources
+// A file shared into the app is kept here until the page imports it.
+// Must match SHARE_CACHE_NAME and SHARED_FILE_URL in app.js.
+const SHARE_CACHE_NAME = "period-tracker-share";
+const SHARED_FILE_URL = "shared-file";
+
+// Tag for the periodic background check that shows due reminders
+const REMINDER_SYNC_TAG = "cycletracker-reminders";
+const REMINDER_ICON = "icons/wheel.svg";
+
+// Resolve a scope-relative path to a full URL
+function scopeUrl(path) {
+  return new URL(path, self.registration.scope).href;
+}
+
+// On install, cache the static resources and check they all made it.
+// If anything is missing the install fails and the old version stays.
 self.addEventListener("install", (event) => {
   event.waitUntil(
     (async () => {
       const cache = await caches.open(CACHE_NAME);
-      cache.addAll(APP_STATIC_RESOURCES);
+      const urls = APP_STATIC_RESOURCES.map(scopeUrl);
+      await cache.addAll(urls);
+      const cached = await Promise.all(urls.map((url) => cache.match(url)));
+      const missing = urls.filter((url, i) => !cached[i]);
+      if (missing.length) {
+        throw new Error(`Precache incomplete, missing: ${missing.join(", ")}`);
+      }
     })()
   );
+  // No skipWaiting() here: the page asks for it once the user agrees
+  // to reload, so a new version never swaps code under an open page.
 });
 
 // delete old caches on activate
@@ -30,7 +72,7 @@ self.addEventListener("activate", (event) => {
       const names = await caches.keys();
       await Promise.all(
         names.map((name) => {
-          if (name !== CACHE_NAME) {
+          if (name !== CACHE_NAME && name !== SHARE_CACHE_NAME) {
             return caches.delete(name);
           }
         })
@@ -40,26 +82,203 @@ self.addEventListener("activate", (event) => {
   );
 });
 
+// Messages from the page about updates
+self.addEventListener("message", (event) => {
+  if (!event.data) {
+    return;
+  }
+  if (event.data.type === "GET_VERSION") {
+    // Reply on the MessageChannel port the page sent
+    event.ports[0]?.postMessage({ version: VERSION });
+  } else if (event.data.type === "SKIP_WAITING") {
+    self.skipWaiting();
+  } else if (event.data.type === "CHECK_REMINDERS") {
+    event.waitUntil(processReminders());
+  }
+});
+
+// Background check for browsers without Notification Triggers
+self.addEventListener("periodicsync", (event) => {
+  if (event.tag === REMINDER_SYNC_TAG) {
+    event.waitUntil(processReminders());
+  }
+});
+
+// Open the app, or focus it, at the form the reminder is about
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const { action, date } = event.notification.data ?? {};
+  event.waitUntil(
+    (async () => {
+      const windows = await clients.matchAll({
+        type: "window",
+        includeUncontrolled: true,
+      });
+      const client = windows.find((windowClient) =>
+        windowClient.url.startsWith(self.registration.scope)
+      );
+      if (client) {
+        await client.focus();
+        client.postMessage({ type: "LAUNCH", action, date });
+        return;
+      }
+      const url = new URL(scopeUrl("./"));
+      url.searchParams.set("action", action);
+      if (date) {
+        url.searchParams.set("date", date);
+      }
+      await clients.openWindow(url.href);
+    })()
+  );
+});
+
+// Show reminders that are due, and hand future ones to Notification
+// Triggers where the browser supports them. Reminders are planned and
+// worded by the page (see reminders.js and app.js).
+async function processReminders() {
+  const settings = await getReminderSettings();
+  if (!settings || Notification.permission !== "granted") {
+    return;
+  }
+  const canTrigger = "showTrigger" in Notification.prototype;
+  const now = Date.now();
+  // What was done with each reminder, by tag
+  const done = new Map();
+  for (const item of settings.schedule) {
+    if (item.shown || item.triggered) {
+      continue;
+    } else if (item.timestamp <= now) {
+      await showReminder(item);
+      done.set(item.tag, { timestamp: item.timestamp, shown: true });
+    } else if (canTrigger) {
+      await showReminder(item, new TimestampTrigger(item.timestamp));
+      done.set(item.tag, { timestamp: item.timestamp, triggered: true });
+    }
+    // Otherwise left for the next periodicsync or app open
+  }
+
+  // The page may have saved new settings while the notifications were
+  // shown, so only mark what was done, on the settings as they are now
+  const { schedule } = await updateReminderSettings((current) => ({
+    ...current,
+    schedule: current.schedule.map((item) => {
+      const { timestamp, ...flags } = done.get(item.tag) ?? {};
+      return timestamp === item.timestamp ? { ...item, ...flags } : item;
+    }),
+  }));
+
+  if (canTrigger) {
+    // Cancel scheduled reminders that are no longer planned
+    const planned = new Set(schedule.map((item) => item.tag));
+    const pending = await self.registration.getNotifications({
+      includeTriggered: true,
+    });
+    pending
+      .filter(
+        (notification) =>
+          notification.tag.startsWith("reminder-") &&
+          !planned.has(notification.tag)
+      )
+      .forEach((notification) => notification.close());
+  }
+}
+
+function showReminder(item, showTrigger) {
+  const options = {
+    tag: item.tag,
+    body: item.body,
+    icon: scopeUrl(REMINDER_ICON),
+    // Clicking opens the form to act on it (see runLaunch() in app.js)
+    data:
+      item.kind === "missing-entry"
+        ? { action: "log-day", date: item.date }
+        : { action: "period-start" },
+  };
+  if (showTrigger) {
+    options.showTrigger = showTrigger;
+  }
+  return self.registration.showNotification(item.title, options);
+}
+
+// Sent when the app is offline and has nothing cached for a request
+function offlineResponse(request) {
+  if (request.mode === "navigate") {
+    return new Response(
+      `<!doctype html>
+<html lang="en">
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width" />
+  <title>Cycle Tracker</title>
+  <h1>You're offline</h1>
+  <p>Cycle Tracker couldn't load. Connect to the internet and try again.</p>
+</html>`,
+      {
+        status: 503,
+        headers: { "Content-Type": "text/html; charset=utf-8" },
+      }
+    );
+  }
+  return new Response("Offline and not cached", {
+    status: 503,
+    headers: { "Content-Type": "text/plain; charset=utf-8" },
+  });
+}
+
+// A history file shared into the app (share_target in cycletracker.json).
+// The page does the import, since it may need unlocking first, so keep
+// the file for it and open the app.
+async function receiveSharedFile(request) {
+  const formData = await request.formData();
+  const file = formData.get("history");
+  if (file instanceof File) {
+    const cache = await caches.open(SHARE_CACHE_NAME);
+    await cache.put(
+      scopeUrl(SHARED_FILE_URL),
+      new Response(file, {
+        headers: {
+          "Content-Type": file.type,
+          "X-File-Name": encodeURIComponent(file.name),
+        },
+      })
+    );
+  }
+  return Response.redirect(scopeUrl("./?action=import-share"), 303);
+}
+
 // On fetch, intercept server requests
 // and respond with cached responses instead of going to network
 self.addEventListener("fetch", (event) => {
-  // As a single page app, direct app to always go to cached home page.
-  if (event.request.mode === "navigate") {
-    event.respondWith(caches.match("/"));
+  const { request } = event;
+  if (request.method === "POST" && request.url === scopeUrl("share-target")) {
+    event.respondWith(receiveSharedFile(request));
+    return;
+  }
+  // Leave anything we don't cache, like cross-origin requests, to the browser
+  if (
+    request.method !== "GET" ||
+    new URL(request.url).origin !== self.location.origin
+  ) {
     return;
   }
 
-  // For all other requests, go to the cache first, and then the network.
   event.respondWith(
     (async () => {
       const cache = await caches.open(CACHE_NAME);
-      const cachedResponse = await cache.match(event.request);
+      // As a single page app, direct app to always go to cached home page.
+      const cachedResponse = await cache.match(
+        request.mode === "navigate" ? scopeUrl("./") : request,
+        { ignoreSearch: request.mode === "navigate" }
+      );
       if (cachedResponse) {
         // Return the cached response if it's available.
         return cachedResponse;
       }
-      // If resource isn't in the cache, return a 404.
-      return new Response(null, { status: 404 });
+      // Otherwise try the network, with a proper response if that fails.
+      try {
+        return await fetch(request);
+      } catch (error) {
+        return offlineResponse(request);
+      }
     })()
   );
 });
@@ -0,0 +1,207 @@
+// Export and import formats for cycleTracker app
+// Converts between stored periods and JSON, CSV and iCalendar text
+
+// -------------
+// Variable declarations
+// -------------
+
+// Bump if the shape of exported JSON changes
+const EXPORT_FORMAT_VERSION = 1;
+
+const EXPORT_FORMATS = {
+  json: { extension: "json", mimeType: "application/json" },
+  csv: { extension: "csv", mimeType: "text/csv" },
+  ics: { extension: "ics", mimeType: "text/calendar" },
+};
+
+// -------------
+// Functionality
+// -------------
+
+// 1. Date helpers. Periods are YYYY-MM-DD, iCalendar uses YYYYMMDD
+function toIcsDate(dateString) {
+  return dateString.replaceAll("-", "");
+}
+
+function fromIcsDate(value) {
+  // Date-times like 20240101T000000Z keep only their date part
+  const digits = value.slice(0, 8);
+  return `${digits.slice(0, 4)}-${digits.slice(4, 6)}-${digits.slice(6, 8)}`;
+}
+
+function shiftDate(dateString, days) {
+  const date = new Date(dateString);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+// 2. Build export files
+function exportPeriods(periods, format) {
+  const onlyDates = periods.map(({ startDate, endDate }) => ({
+    startDate,
+    endDate,
+  }));
+  switch (format) {
+    case "json":
+      return exportPeriodsAsJson(onlyDates);
+    case "csv":
+      return exportPeriodsAsCsv(onlyDates);
+    case "ics":
+      return exportPeriodsAsIcs(onlyDates);
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+function exportPeriodsAsJson(periods) {
+  return JSON.stringify(
+    {
+      app: "cycletracker",
+      version: EXPORT_FORMAT_VERSION,
+      exportedAt: new Date().toISOString(),
+      periods,
+    },
+    null,
+    2,
+  );
+}
+
+function exportPeriodsAsCsv(periods) {
+  const rows = periods.map(
+    ({ startDate, endDate }) => `${startDate},${endDate}`,
+  );
+  return ["start_date,end_date", ...rows].join("\r\n") + "\r\n";
+}
+
+function exportPeriodsAsIcs(periods) {
+  const stamp = new Date().toISOString().replace(/[-:]|\.\d+/g, "");
+  const events = periods.flatMap(({ startDate, endDate }) => [
+    "BEGIN:VEVENT",
+    `UID:${startDate}-${endDate}@cycletracker`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;VALUE=DATE:${toIcsDate(startDate)}`,
+    // All-day DTEND is exclusive, so it's the day after the period ends
+    `DTEND;VALUE=DATE:${toIcsDate(shiftDate(endDate, 1))}`,
+    "SUMMARY:Period",
+    "TRANSP:TRANSPARENT",
+    "END:VEVENT",
+  ]);
+  return (
+    [
+      "BEGIN:VCALENDAR",
+      "VERSION:2.0",
+      "PRODID:-//cycleTracker//Period export//EN",
+      "CALSCALE:GREGORIAN",
+      ...events,
+      "END:VCALENDAR",
+    ].join("\r\n") + "\r\n"
+  );
+}
+
+// 3. Read an import file. Returns {startDate, endDate} candidates, which
+// still need checking with validatePeriod() before being stored
+function parsePeriodsFile(text, fileName = "") {
+  const extension = fileName.split(".").pop().toLowerCase();
+  const trimmed = text.trim();
+  if (extension === "ics" || trimmed.startsWith("BEGIN:VCALENDAR")) {
+    return parsePeriodsIcs(trimmed);
+  }
+  if (
+    extension === "json" ||
+    trimmed.startsWith("{") ||
+    trimmed.startsWith("[")
+  ) {
+    return parsePeriodsJson(trimmed);
+  }
+  return parsePeriodsCsv(trimmed);
+}
+
+function parsePeriodsJson(text) {
+  const data = JSON.parse(text);
+  // Accept our own export and a bare array of periods
+  const periods = Array.isArray(data) ? data : data.periods;
+  if (!Array.isArray(periods)) {
+    throw new Error("This JSON file doesn't contain any periods.");
+  }
+  return periods.map((period) => ({
+    startDate: String(period?.startDate ?? ""),
+    endDate: String(period?.endDate ?? ""),
+  }));
+}
+
+function parsePeriodsCsv(text) {
+  const rows = text
+    .split(/\r?\n/)
+    .filter((line) => line.trim())
+    .map((line) =>
+      line.split(",").map((cell) => cell.trim().replace(/^"|"$/g, "")),
+    );
+  if (rows.length === 0) {
+    return [];
+  }
+  let startColumn = 0;
+  let endColumn = 1;
+  // Use the header row, if there is one, to find the columns
+  const header = rows[0].map((cell) => cell.toLowerCase());
+  if (!/^\d/.test(header[0] ?? "")) {
+    rows.shift();
+    const headerStart = header.findIndex((cell) => cell.includes("start"));
+    const headerEnd = header.findIndex((cell) => cell.includes("end"));
+    if (headerStart !== -1 && headerEnd !== -1) {
+      startColumn = headerStart;
+      endColumn = headerEnd;
+    }
+  }
+  return rows.map((row) => ({
+    startDate: row[startColumn] ?? "",
+    endDate: row[endColumn] ?? "",
+  }));
+}
+
+function parsePeriodsIcs(text) {
+  // Unfold continuation lines before reading properties
+  const lines = text
+    .replace(/\r?\n[ \t]/g, "")
+    .split(/\r?\n/)
+    .map((line) => line.trim());
+  const periods = [];
+  let event = null;
+  lines.forEach((line) => {
+    if (line === "BEGIN:VEVENT") {
+      event = {};
+      return;
+    }
+    if (line === "END:VEVENT" && event) {
+      periods.push(icsEventToPeriod(event));
+      event = null;
+      return;
+    }
+    const separator = line.indexOf(":");
+    if (!event || separator === -1) {
+      return;
+    }
+    const [name, ...params] = line.slice(0, separator).split(";");
+    event[name.toUpperCase()] = {
+      value: line.slice(separator + 1).trim(),
+      isDate: params.includes("VALUE=DATE") || !line.includes("T", separator),
+    };
+  });
+  return periods;
+}
+
+function icsEventToPeriod({ DTSTART: start, DTEND: end }) {
+  if (!start) {
+    return { startDate: "", endDate: "" };
+  }
+  const startDate = fromIcsDate(start.value);
+  if (!end) {
+    return { startDate, endDate: startDate };
+  }
+  const endDate = fromIcsDate(end.value);
+  return {
+    startDate,
+    // All-day DTEND is exclusive, see exportPeriodsAsIcs()
+    endDate:
+      end.isDate && endDate > startDate ? shiftDate(endDate, -1) : endDate,
+  };
+}
@@ -0,0 +1,123 @@
+// Period validation for cycleTracker app
+// Returns a list of problems rather than touching the page, so the same
+// rules apply to the new period form, the edit form and imports
+
+// -------------
+// Variable declarations
+// -------------
+
+// Longer than this is almost certainly a typo in one of the dates
+const MAX_PERIOD_DAYS = 14;
+
+// The format date inputs use, and the only one we store
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// -------------
+// Functionality
+// -------------
+
+// 1. Today as a YYYY-MM-DD string in local time, like a date input value
+function getTodayString(now = new Date()) {
+  const month = String(now.getMonth() + 1).padStart(2, "0");
+  const day = String(now.getDate()).padStart(2, "0");
+  return `${now.getFullYear()}-${month}-${day}`;
+}
+
+// 2. Number of days a period lasts, counting both ends
+function getPeriodLength(startDate, endDate) {
+  return (new Date(endDate) - new Date(startDate)) / 86400000 + 1;
+}
+
+// 3. A real calendar date in YYYY-MM-DD form, so not 2024-02-30
+function isValidDateString(dateString) {
+  if (!DATE_PATTERN.test(dateString)) {
+    return false;
+  }
+  const date = new Date(dateString);
+  return (
+    !Number.isNaN(date.getTime()) &&
+    date.toISOString().slice(0, 10) === dateString
+  );
+}
+
+// 4. Check a period against the rules and the periods already stored.
+// Each error names the field it belongs to and a code for the message.
+// Pass ignoreId when editing so a period doesn't clash with itself.
+function validatePeriod(
+  { startDate, endDate },
+  existingPeriods = [],
+  { ignoreId = null, today = getTodayString() } = {},
+) {
+  const errors = [];
+
+  if (!startDate) {
+    errors.push({ field: "startDate", code: "required" });
+  }
+  if (!endDate) {
+    errors.push({ field: "endDate", code: "required" });
+  }
+  if (errors.length) {
+    return errors;
+  }
+
+  if (!isValidDateString(startDate)) {
+    errors.push({ field: "startDate", code: "invalid-date" });
+  }
+  if (!isValidDateString(endDate)) {
+    errors.push({ field: "endDate", code: "invalid-date" });
+  }
+  if (errors.length) {
+    return errors;
+  }
+
+  if (startDate > today) {
+    errors.push({ field: "startDate", code: "future" });
+  }
+  if (endDate > today) {
+    errors.push({ field: "endDate", code: "future" });
+  }
+  if (startDate > endDate) {
+    errors.push({ field: "endDate", code: "end-before-start" });
+  } else if (getPeriodLength(startDate, endDate) > MAX_PERIOD_DAYS) {
+    errors.push({
+      field: "endDate",
+      code: "too-long",
+      maxDays: MAX_PERIOD_DAYS,
+    });
+  }
+  if (errors.length) {
+    return errors;
+  }
+
+  const others = existingPeriods.filter((period) => period.id !== ignoreId);
+  const duplicate = others.find(
+    (period) => period.startDate === startDate && period.endDate === endDate,
+  );
+  if (duplicate) {
+    errors.push({ field: "startDate", code: "duplicate", period: duplicate });
+    return errors;
+  }
+  const overlapping = others.find(
+    (period) => startDate <= period.endDate && period.startDate <= endDate,
+  );
+  if (overlapping) {
+    errors.push({ field: "startDate", code: "overlap", period: overlapping });
+  }
+
+  return errors;
+}
+
+// 5. Check the date of a day log. Any day up to today can be logged,
+// whether or not it falls inside a period
+function validateDayLog({ date }, { today = getTodayString() } = {}) {
+  if (!date) {
+    return [{ field: "date", code: "required" }];
+  }
+  if (!isValidDateString(date)) {
+    return [{ field: "date", code: "invalid-date" }];
+  }
+  if (date > today) {
+    return [{ field: "date", code: "future" }];
+  }
+  return [];
+}
@@ -1,85 +1,866 @@
-// Generating content based on the template
-const template = `<article>
-  <img src='data/img/placeholder.png' data-src='data/img/SLUG.jpg' alt='NAME'>
-  <h3>#POS. NAME</h3>
-  <ul>
-  <li><span>Author:</span> <strong>AUTHOR</strong></li>
-  <li><span>Twitter:</span> <a href='https://twitter.com/TWITTER'>@TWITTER</a></li>
-  <li><span>Website:</span> <a href='http://WEBSITE/'>WEBSITE</a></li>
-  <li><span>GitHub:</span> <a href='https://GITHUB'>GITHUB</a></li>
-  <li><span>More:</span> <a href='http://js13kgames.com/entries/SLUG'>js13kgames.com/entries/SLUG</a></li>
-  </ul>
-</article>`;
-let content = "";
-for (let i = 0; i < games.length; i++) {
-  let entry = template
-    .replace(/POS/g, i + 1)
-    .replace(/SLUG/g, games[i].slug)
-    .replace(/NAME/g, games[i].name)
-    .replace(/AUTHOR/g, games[i].author)
-    .replace(/TWITTER/g, games[i].twitter)
-    .replace(/WEBSITE/g, games[i].website)
-    .replace(/GITHUB/g, games[i].github);
-  entry = entry.replace("<a href='http:///'></a>", "-");
-  content += entry;
-}
-document.getElementById("content").innerHTML = content;
-document.getElementById("version").innerText = "new version 19";
+// Generating content from the <template> in index.html. Values are set
+// with textContent and href, so game data is never parsed as markup.
+const gameTemplate = document.getElementById("game-template");
+
+function renderGame(game) {
+  const article = gameTemplate.content.firstElementChild.cloneNode(true);
+  article.id = `game-${game.slug}`;
+  article.dataset.slug = game.slug;
+  // Focusable, so renderRoute() can move focus to it
+  article.tabIndex = -1;
+  const image = article.querySelector("img");
+  image.dataset.src = `data/img/${encodeURIComponent(game.slug)}.jpg`;
+  image.alt = game.name;
+  article.querySelector("h3").textContent = `#${game.rank}. ${game.name}`;
+  const favoriteButton = article.querySelector(".favorite");
+  favoriteButton.dataset.slug = game.slug;
+  showFavorite(favoriteButton, favorites.has(game.slug));
+  article.querySelector("[data-field='author']").textContent = game.author;
+  fillLink(
+    article,
+    "twitter",
+    game.twitter && `https://twitter.com/${encodeURIComponent(game.twitter)}`,
+    `@${game.twitter}`
+  );
+  fillLink(
+    article,
+    "website",
+    game.website && `http://${game.website}/`,
+    game.website
+  );
+  fillLink(
+    article,
+    "github",
+    game.github && `https://${game.github}`,
+    game.github
+  );
+  fillLink(
+    article,
+    "more",
+    `http://js13kgames.com/entries/${encodeURIComponent(game.slug)}`,
+    `js13kgames.com/entries/${game.slug}`
+  );
+  return article;
+}
+
+// Fill in one link of an entry, or show "-" when the game has none
+function fillLink(article, field, href, text) {
+  const link = article.querySelector(`[data-field='${field}']`);
+  if (!href) {
+    link.replaceWith("-");
+    return;
+  }
+  link.href = href;
+  link.textContent = text;
+}
+
+function showFavorite(button, isFavorite) {
+  button.setAttribute("aria-pressed", String(isFavorite));
+  button.textContent = isFavorite ? "★ Favorite" : "☆ Favorite";
+}
+
+// The game catalogue, loaded from data/games.json by loadGames()
+const GAMES_URL = "data/games.json";
+const GAMES_SCHEMA_URL = "data/games.schema.json";
+let games = [];
+// Favorited games by slug, loaded from IndexedDB by loadFavorites()
+let favorites = new Map();
+// "loading", "loaded", "stale" (an offline copy), "favorites" (only the
+// favorites, saved for offline) or "error"
+let loadState = "loading";
+const content = document.getElementById("content");
+const loadMessage = document.getElementById("load-message");
+const retryButton = document.getElementById("retry-load");
+
+const loadMessages = {
+  loading: "Loading games…",
+  loaded: "",
+  stale: "You're offline, so this is the last saved list of games.",
+  favorites: "Couldn't load the games, so here are your favorites.",
+  error: "Couldn't load the games. Check your connection and try again.",
+};
+
+// Search, filter and sort state is kept in the query string, so a
+// filtered view can be bookmarked and reloaded (offline too, see sw.js)
+const filtersForm = document.getElementById("filters");
+const searchInput = document.getElementById("search");
+const hasWebsiteInput = document.getElementById("has-website");
+const hasGithubInput = document.getElementById("has-github");
+const favoritesOnlyInput = document.getElementById("favorites-only");
+const sortSelect = document.getElementById("sort");
+const resultsStatus = document.getElementById("results-status");
+
+const sorts = {
+  rank: (a, b) => a.rank - b.rank,
+  name: (a, b) => a.name.localeCompare(b.name),
+  author: (a, b) => a.author.localeCompare(b.author),
+};
+
+// Read the view state from the query string
+function readFilters() {
+  const params = new URLSearchParams(window.location.search);
+  const sort = params.get("sort");
+  return {
+    search: params.get("q") || "",
+    hasWebsite: params.has("website"),
+    hasGithub: params.has("github"),
+    favoritesOnly: params.has("favorites"),
+    sort: sort in sorts ? sort : "rank",
+  };
+}
+
+// Write the view state to the query string, leaving out the defaults
+function writeFilters(filters) {
+  const params = new URLSearchParams();
+  if (filters.search) {
+    params.set("q", filters.search);
+  }
+  if (filters.hasWebsite) {
+    params.set("website", "1");
+  }
+  if (filters.hasGithub) {
+    params.set("github", "1");
+  }
+  if (filters.favoritesOnly) {
+    params.set("favorites", "1");
+  }
+  if (filters.sort !== "rank") {
+    params.set("sort", filters.sort);
+  }
+  const query = params.toString();
+  history.replaceState(
+    null,
+    "",
+    `${window.location.pathname}${query ? `?${query}` : ""}${
+      window.location.hash
+    }`
+  );
+}
+
+function showFilters(filters) {
+  searchInput.value = filters.search;
+  hasWebsiteInput.checked = filters.hasWebsite;
+  hasGithubInput.checked = filters.hasGithub;
+  favoritesOnlyInput.checked = filters.favoritesOnly;
+  sortSelect.value = filters.sort;
+}
+
+// Games matching the filters, each with its original rank (saved
+// favorites shown without the catalogue keep the rank they had)
+function filterGames(filters) {
+  const search = filters.search.trim().toLowerCase();
+  return games
+    .map((game, i) => ({ rank: i + 1, ...game }))
+    .filter(
+      (game) =>
+        !search ||
+        [game.name, game.author, game.slug].some((value) =>
+          value.toLowerCase().includes(search)
+        )
+    )
+    .filter((game) => !filters.hasWebsite || game.website)
+    .filter((game) => !filters.hasGithub || game.github)
+    .filter((game) => !filters.favoritesOnly || favorites.has(game.slug))
+    .sort(sorts[filters.sort]);
+}
+
+function renderGames(filters) {
+  const list = filterGames(filters);
+  content.replaceChildren(...list.map(renderGame));
+  markOfflineAvailability(content);
+  resultsStatus.textContent =
+    filters.favoritesOnly && !favorites.size
+      ? "No favorites yet. Press ☆ Favorite on a game to add it."
+      : list.length === games.length
+        ? `Showing all ${games.length} games.`
+        : `Showing ${list.length} of ${games.length} games.`;
+  observeImages();
+}
+
+filtersForm.addEventListener("input", () => {
+  const filters = {
+    search: searchInput.value,
+    hasWebsite: hasWebsiteInput.checked,
+    hasGithub: hasGithubInput.checked,
+    favoritesOnly: favoritesOnlyInput.checked,
+    sort: sortSelect.value,
+  };
+  writeFilters(filters);
+  if (games.length) {
+    renderGames(filters);
+  }
+});
+filtersForm.addEventListener("submit", (event) => {
+  event.preventDefault();
+});
+
+// Favorites are kept in IndexedDB (see db.js). The service worker caches
+// their images, so the favorites view works offline (see sw.js).
+async function loadFavorites() {
+  try {
+    favorites = new Map(
+      (await getFavorites()).map((favorite) => [favorite.slug, favorite])
+    );
+  } catch (error) {
+    console.warn("Couldn't load favorites:", error);
+  }
+}
+
+async function toggleFavorite(button) {
+  const { slug } = button.dataset;
+  const index = games.findIndex((game) => game.slug === slug);
+  if (favorites.has(slug)) {
+    await deleteFavorite(slug);
+    favorites.delete(slug);
+    // Showing only the favorites, so the entry goes with its favorite
+    if (loadState === "favorites") {
+      games.splice(index, 1);
+    }
+  } else {
+    const favorite = { rank: index + 1, ...games[index], addedAt: Date.now() };
+    await saveFavorite(favorite);
+    favorites.set(slug, favorite);
+  }
+  showFavorite(button, favorites.has(slug));
+  // The list has its own button when toggled from the detail view
+  const filters = readFilters();
+  if (
+    filters.favoritesOnly ||
+    loadState === "favorites" ||
+    !content.contains(button)
+  ) {
+    renderGames(filters);
+  }
+  syncFavorites();
+}
+
+// Ask the service worker to cache the favorites' images and drop the
+// ones no longer favorited
+async function syncFavorites() {
+  if (!("serviceWorker" in navigator)) {
+    return;
+  }
+  const registration = await navigator.serviceWorker.ready;
+  registration.active.postMessage({ type: "SYNC_FAVORITES" });
+}
+
+// Buttons on an entry, in the list or the detail view
+function onArticleClick(event) {
+  const favoriteButton = event.target.closest(".favorite");
+  const offlineButton = event.target.closest(".make-offline");
+  if (favoriteButton) {
+    toggleFavorite(favoriteButton).catch((error) => {
+      console.error("Couldn't save favorite:", error);
+    });
+  } else if (offlineButton) {
+    makeAvailableOffline(offlineButton);
+  }
+}
+content.addEventListener("click", onArticleClick);
+
+// Client-side routes. The list is the default view and each game has a
+// detail view at #/game/SLUG. Launch URLs (?game=SLUG, web+jngl: links
+// from the manifest's protocol_handlers and the older #game-SLUG) are
+// rewritten to that hash by normalizeLaunchUrl().
+const detailView = document.getElementById("game-detail");
+const detailContent = document.getElementById("game-detail-content");
+const listViews = [filtersForm, resultsStatus, content];
+const documentTitle = document.title;
+let currentRoute = null;
+
+// Links and launch URLs come from outside, so a malformed escape like
+// %ZZ is kept as it is and ends up as a not found game
+function decodeSlug(slug) {
+  try {
+    return decodeURIComponent(slug);
+  } catch (error) {
+    return slug;
+  }
+}
+
+function parseRoute(hash) {
+  const match = /^#\/game\/(.+)$/.exec(hash);
+  return match
+    ? { view: "game", slug: decodeSlug(match[1]) }
+    : { view: "list" };
+}
+
+// The slug in web+jngl://SLUG or web+jnglshort:SLUG
+function slugFromProtocolUrl(protocolUrl) {
+  const match = /^web\+jngl(?:short)?:(?:\/\/)?([^/?#]+)/i.exec(protocolUrl);
+  return match ? decodeSlug(match[1]) : null;
+}
+
+function normalizeLaunchUrl() {
+  const url = new URL(window.location.href);
+  const protocolUrl = url.searchParams.get("jngl");
+  const legacyHash = /^#game-(.+)$/.exec(url.hash);
+  let slug = url.searchParams.get("game");
+  if (protocolUrl) {
+    // Not a web+jngl URL we understand, so show it as not found
+    slug = slugFromProtocolUrl(protocolUrl) || protocolUrl;
+  } else if (legacyHash) {
+    slug = decodeSlug(legacyHash[1]);
+  }
+  if (slug === null) {
+    return;
+  }
+  url.searchParams.delete("game");
+  url.searchParams.delete("jngl");
+  url.hash = `#/game/${encodeURIComponent(slug)}`;
+  history.replaceState(null, "", url.href);
+}
+
+// Show the view for the current hash. Called again once games load.
+function renderRoute() {
+  const previousRoute = currentRoute;
+  const route = parseRoute(window.location.hash);
+  currentRoute = route;
+  listViews.forEach((element) => {
+    element.hidden = route.view === "game";
+  });
+  detailView.hidden = route.view !== "game";
+
+  if (route.view === "list") {
+    document.title = documentTitle;
+    // Back from a game, so return to its entry in the list
+    const article =
+      previousRoute &&
+      previousRoute.view === "game" &&
+      document.getElementById(`game-${previousRoute.slug}`);
+    if (article) {
+      article.scrollIntoView();
+      article.focus();
+    }
+    return;
+  }
+
+  // Nothing to show until the games load (see loadGames)
+  if (!games.length) {
+    detailContent.replaceChildren();
+    return;
+  }
+  const index = games.findIndex((game) => game.slug === route.slug);
+  if (index === -1) {
+    const notFound = document.createElement("p");
+    notFound.className = "not-found";
+    notFound.textContent = `There's no game called "${route.slug}".`;
+    detailContent.replaceChildren(notFound);
+    document.title = `Game not found - ${documentTitle}`;
+    return;
+  }
+  const article = renderGame({ rank: index + 1, ...games[index] });
+  // The list keeps its own article with that id
+  article.removeAttribute("id");
+  detailContent.replaceChildren(article);
+  document.title = `${games[index].name} - ${documentTitle}`;
+  observeImages();
+  markOfflineAvailability(detailContent);
+  article.focus();
+}
+
+detailContent.addEventListener("click", onArticleClick);
+window.addEventListener("hashchange", renderRoute);
+
+document.getElementById("version").innerText = "new version 27";
 
 // Registering Service Worker
 if ("serviceWorker" in navigator) {
   navigator.serviceWorker.register("/pwa-examples/js13kpwa/sw.js");
 }
 
-// Requesting permission for Notifications after clicking on the button
-const button = document.getElementById("notifications");
-button.addEventListener("click", () => {
-  Notification.requestPermission().then((result) => {
-    if (result === "granted") {
-      randomNotification();
+// Random game notifications, shown by the service worker so they keep
+// coming after the tab is closed where periodic sync is supported.
+// The chosen interval is stored in IndexedDB (see db.js).
+const RANDOM_GAME_SYNC_TAG = "random-game";
+const notificationSelect = document.getElementById("notification-frequency");
+const notificationStatus = document.getElementById("notification-status");
+let notificationTimer = null;
+
+async function renderNotificationSettings() {
+  const settings = (await getSetting(NOTIFICATION_SETTINGS_KEY)) || {};
+  notificationSelect.value = String(settings.intervalSeconds || 0);
+  scheduleRandomGames(settings.intervalSeconds || 0);
+}
+
+notificationSelect.addEventListener("change", async () => {
+  const intervalSeconds = Number(notificationSelect.value);
+  if (intervalSeconds) {
+    if (!("Notification" in window) || !("serviceWorker" in navigator)) {
+      notificationStatus.textContent = "This browser can't show notifications.";
+      notificationSelect.value = "0";
+      return;
+    }
+    if ((await Notification.requestPermission()) !== "granted") {
+      notificationStatus.textContent =
+        "Notifications are blocked. Allow them in your browser settings.";
+      notificationSelect.value = "0";
+      return;
+    }
+  }
+  await updateSetting(NOTIFICATION_SETTINGS_KEY, (settings) => ({
+    ...settings,
+    intervalSeconds,
+  }));
+  notificationStatus.textContent = intervalSeconds
+    ? "Random game notifications are on."
+    : "Random game notifications are off.";
+  await registerRandomGameSync(intervalSeconds);
+  scheduleRandomGames(intervalSeconds);
+});
+
+// Ask the service worker for a notification every interval while the
+// page is open. It checks the stored interval itself, so this and
+// periodic sync never double up.
+function scheduleRandomGames(intervalSeconds) {
+  clearInterval(notificationTimer);
+  notificationTimer = null;
+  if (!intervalSeconds || !("serviceWorker" in navigator)) {
+    return;
+  }
+  notificationTimer = setInterval(async () => {
+    const registration = await navigator.serviceWorker.ready;
+    registration.active.postMessage({ type: "SHOW_RANDOM_GAME" });
+  }, intervalSeconds * 1000);
+}
+
+// Periodic sync is only allowed for installed apps in some browsers, so
+// failing to register just means notifications stop with the tab
+async function registerRandomGameSync(intervalSeconds) {
+  if (!("serviceWorker" in navigator)) {
+    return;
+  }
+  const registration = await navigator.serviceWorker.ready;
+  if (!("periodicSync" in registration)) {
+    return;
+  }
+  try {
+    if (intervalSeconds) {
+      await registration.periodicSync.register(RANDOM_GAME_SYNC_TAG, {
+        minInterval: intervalSeconds * 1000,
+      });
+    } else {
+      await registration.periodicSync.unregister(RANDOM_GAME_SYNC_TAG);
+    }
+  } catch (error) {
+    console.warn("Periodic sync unavailable:", error);
+  }
+}
+
+// Open a game's detail view (see renderRoute)
+function showGame(slug) {
+  window.location.hash = `#/game/${encodeURIComponent(slug)}`;
+}
+
+if ("serviceWorker" in navigator) {
+  navigator.serviceWorker.addEventListener("message", async (event) => {
+    if (event.data && event.data.type === "SHOW_GAME") {
+      // A pushed new entry may not be in the list this page loaded
+      if (!games.some((game) => game.slug === event.data.slug)) {
+        await loadGames();
+      }
+      showGame(event.data.slug);
+    } else if (event.data && event.data.type === "NETWORK_STATUS") {
+      // The service worker saw a request fail or get through
+      showNetworkStatus(event.data.isOnline);
+    } else if (
+      event.data &&
+      event.data.type === "NOTIFICATION_SETTINGS_CHANGED"
+    ) {
+      renderNotificationSettings();
+      notificationStatus.textContent = "Random game notifications are off.";
     }
   });
+}
+
+// New entry alerts over Web Push. The push server keeps subscriptions and
+// sends a push when an entry is added; run push-server/mock-push-server.js
+// to try it locally. Its URL comes from the push-server meta tag in
+// index.html, and the alerts are only offered when one is set. The URL and
+// key are stored so the service worker can renew the subscription (see
+// PUSH_SETTINGS_KEY in db.js).
+const pushServerMeta = document.querySelector('meta[name="push-server"]');
+const PUSH_SERVER_URL = pushServerMeta
+  ? pushServerMeta.content.trim().replace(/\/+$/, "")
+  : "";
+const pushSettings = document.getElementById("push-settings");
+const pushCheckbox = document.getElementById("push-new-entries");
+const pushStatus = document.getElementById("push-status");
+
+async function renderPushSettings() {
+  pushSettings.hidden = !PUSH_SERVER_URL;
+  if (!PUSH_SERVER_URL) {
+    return;
+  }
+  if (!("serviceWorker" in navigator) || !("PushManager" in window)) {
+    pushCheckbox.disabled = true;
+    pushStatus.textContent = "This browser can't receive push messages.";
+    return;
+  }
+  const registration = await navigator.serviceWorker.ready;
+  const subscription = await registration.pushManager.getSubscription();
+  pushCheckbox.checked = Boolean(subscription);
+}
+
+pushCheckbox.addEventListener("change", async () => {
+  pushCheckbox.disabled = true;
+  try {
+    if (pushCheckbox.checked) {
+      await subscribeToPush();
+      pushStatus.textContent = "You'll be told when a new entry is added.";
+    } else {
+      await unsubscribeFromPush();
+      pushStatus.textContent = "New entry alerts are off.";
+    }
+  } catch (error) {
+    console.warn("Push subscription failed:", error);
+    pushStatus.textContent =
+      Notification.permission === "denied"
+        ? "Notifications are blocked. Allow them in your browser settings."
+        : "Couldn't reach the push server. Try again later.";
+    await renderPushSettings();
+  } finally {
+    pushCheckbox.disabled = false;
+  }
 });
 
-// Setting up random Notification
-function randomNotification() {
-  const randomItem = Math.floor(Math.random() * games.length);
-  const notifTitle = games[randomItem].name;
-  const notifBody = `Created by ${games[randomItem].author}.`;
-  const notifImg = `data/img/${games[randomItem].slug}.jpg`;
-  const options = {
-    body: notifBody,
-    icon: notifImg,
-  };
-  new Notification(notifTitle, options);
-  setTimeout(randomNotification, 30000);
+async function subscribeToPush() {
+  const registration = await navigator.serviceWorker.ready;
+  const keyResponse = await fetch(`${PUSH_SERVER_URL}/vapid-public-key`);
+  if (!keyResponse.ok) {
+    throw new Error(`No push server key (status ${keyResponse.status})`);
+  }
+  const { publicKey } = await keyResponse.json();
+  // Asks for notification permission if it hasn't been given yet
+  const subscription = await registration.pushManager.subscribe({
+    userVisibleOnly: true,
+    applicationServerKey: base64UrlToUint8Array(publicKey),
+  });
+  const response = await fetch(`${PUSH_SERVER_URL}/subscriptions`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(subscription),
+  });
+  if (!response.ok) {
+    await subscription.unsubscribe();
+    throw new Error(`Subscription refused (status ${response.status})`);
+  }
+  await saveSetting(PUSH_SETTINGS_KEY, {
+    serverUrl: PUSH_SERVER_URL,
+    publicKey,
+  });
+}
+
+async function unsubscribeFromPush() {
+  const registration = await navigator.serviceWorker.ready;
+  const subscription = await registration.pushManager.getSubscription();
+  const settings = await getSetting(PUSH_SETTINGS_KEY);
+  await saveSetting(PUSH_SETTINGS_KEY, null);
+  if (!subscription) {
+    return;
+  }
+  // Unsubscribing locally is what matters, so a server that's down
+  // only means it keeps a subscription that will fail
+  const serverUrl = (settings && settings.serverUrl) || PUSH_SERVER_URL;
+  await fetch(`${serverUrl}/subscriptions`, {
+    method: "DELETE",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ endpoint: subscription.endpoint }),
+  }).catch((error) => {
+    console.warn("Couldn't tell the push server:", error);
+  });
+  await subscription.unsubscribe();
+}
+
+// VAPID keys are shared as base64url, pushManager wants the bytes
+function base64UrlToUint8Array(base64Url) {
+  const base64 = (base64Url + "=".repeat((4 - (base64Url.length % 4)) % 4))
+    .replace(/-/g, "+")
+    .replace(/_/g, "/");
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+}
+
+// Online/offline indicator. The browser's online and offline events say
+// whether there's a connection at all; the service worker also reports
+// requests failing while the browser thinks it's online.
+const networkStatus = document.getElementById("network-status");
+
+function showNetworkStatus(isOnline) {
+  networkStatus.textContent = isOnline
+    ? "Online"
+    : "Offline - entries marked as not available offline won't have images.";
+  networkStatus.classList.toggle("offline", !isOnline);
+  if (!isOnline) {
+    // What's cached may have changed since the entries were rendered
+    markOfflineAvailability(document);
+  }
+}
+
+function reportNetworkStatus(isOnline) {
+  showNetworkStatus(isOnline);
+  if ("serviceWorker" in navigator && navigator.serviceWorker.controller) {
+    navigator.serviceWorker.controller.postMessage({
+      type: "NETWORK_STATUS",
+      isOnline,
+    });
+  }
+}
+
+window.addEventListener("online", () => {
+  reportNetworkStatus(true);
+});
+window.addEventListener("offline", () => {
+  reportNetworkStatus(false);
+});
+
+// How long to wait for the service worker to check or save entries
+const OFFLINE_CHECK_TIMEOUT = 5000;
+const OFFLINE_SAVE_TIMEOUT = 30000;
+
+// Mark the entries whose images won't be there offline, offering to save
+// them. Only the service worker knows which cached images can expire.
+async function markOfflineAvailability(root) {
+  const articles = [...root.querySelectorAll("article[data-slug]")];
+  if (!("serviceWorker" in navigator) || !articles.length) {
+    return;
+  }
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    const reply = await askServiceWorker(
+      registration.active,
+      {
+        type: "CHECK_OFFLINE",
+        slugs: articles.map((article) => article.dataset.slug),
+      },
+      OFFLINE_CHECK_TIMEOUT
+    );
+    const available = new Set(reply.slugs);
+    articles.forEach((article) => {
+      const cached = available.has(article.dataset.slug);
+      article.classList.toggle("unavailable-offline", !cached);
+      article.querySelector(".offline-note").hidden = cached;
+    });
+  } catch (error) {
+    console.warn("Couldn't check which entries work offline:", error);
+  }
+}
+
+// Send the service worker a message and wait for its reply on a
+// MessageChannel, giving up after timeout milliseconds
+function askServiceWorker(worker, message, timeout) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      reject(new Error("The service worker didn't reply"));
+    }, timeout);
+    const channel = new MessageChannel();
+    channel.port1.onmessage = (event) => {
+      clearTimeout(timer);
+      resolve(event.data);
+    };
+    worker.postMessage(message, [channel.port2]);
+  });
+}
+
+// Ask the service worker to save an entry for offline use
+async function makeAvailableOffline(button) {
+  const { slug } = button.closest("article").dataset;
+  button.disabled = true;
+  button.textContent = "Saving…";
+  try {
+    if (!("serviceWorker" in navigator)) {
+      throw new Error("Service workers aren't supported");
+    }
+    const registration = await navigator.serviceWorker.ready;
+    const reply = await askServiceWorker(
+      registration.active,
+      { type: "CACHE_GAME", slug },
+      OFFLINE_SAVE_TIMEOUT
+    );
+    if (reply.type !== "GAME_CACHED") {
+      throw new Error(reply.message);
+    }
+    // The same game may be in the list and the detail view
+    await markOfflineAvailability(document);
+  } catch (error) {
+    console.error(`Couldn't make ${slug} available offline:`, error);
+    button.textContent = "Couldn't save it, try again";
+    button.disabled = false;
+    return;
+  }
+  button.textContent = "Make available offline";
+  button.disabled = false;
 }
 
 // Progressive loading images
-const imagesToLoad = document.querySelectorAll("img[data-src]");
 const loadImages = (image) => {
   image.setAttribute("src", image.getAttribute("data-src"));
   image.onload = () => {
     image.removeAttribute("data-src");
   };
 };
-if ("IntersectionObserver" in window) {
-  const observer = new IntersectionObserver((items) => {
-    items.forEach((item) => {
-      if (item.isIntersecting) {
-        loadImages(item.target);
-        observer.unobserve(item.target);
-      }
+const imageObserver =
+  "IntersectionObserver" in window
+    ? new IntersectionObserver((items) => {
+        items.forEach((item) => {
+          if (item.isIntersecting) {
+            loadImages(item.target);
+            imageObserver.unobserve(item.target);
+          }
+        });
+      })
+    : null;
+// Called after every render, since rendering replaces the images
+function observeImages() {
+  const imagesToLoad = document.querySelectorAll("img[data-src]");
+  if (imageObserver) {
+    imageObserver.disconnect();
+    imagesToLoad.forEach((img) => {
+      imageObserver.observe(img);
     });
+  } else {
+    imagesToLoad.forEach((img) => {
+      loadImages(img);
+    });
+  }
+}
+
+// Fetch the catalogue and its schema. The service worker answers from its
+// cache when offline and says so in the X-SW-Source header.
+async function loadGames() {
+  const previousState = loadState;
+  showLoadState("loading");
+  try {
+    const [gamesResponse, schemaResponse] = await Promise.all([
+      fetch(GAMES_URL),
+      fetch(GAMES_SCHEMA_URL),
+    ]);
+    if (
+      !gamesResponse.ok ||
+      !schemaResponse.ok ||
+      gamesResponse.headers.get("X-SW-Source") === "offline"
+    ) {
+      throw new Error(`Games unavailable (status ${gamesResponse.status})`);
+    }
+    const [data, schema] = await Promise.all([
+      gamesResponse.json(),
+      schemaResponse.json(),
+    ]);
+    games = validateGames(data, schema);
+    showLoadState(
+      gamesResponse.headers.get("X-SW-Source") === "cache" ? "stale" : "loaded"
+    );
+    renderGames(readFilters());
+    renderRoute();
+  } catch (error) {
+    console.error("Couldn't load games:", error);
+    if (favorites.size && (!games.length || previousState === "favorites")) {
+      games = [...favorites.values()].sort((a, b) => a.rank - b.rank);
+      showLoadState("favorites");
+      renderGames(readFilters());
+      renderRoute();
+      return;
+    }
+    showLoadState("error");
+  }
+}
+
+function showLoadState(state) {
+  loadState = state;
+  loadMessage.textContent = loadMessages[state];
+  retryButton.hidden = state !== "error" && state !== "favorites";
+  content.setAttribute("aria-busy", String(state === "loading"));
+  if (state === "error" && !games.length) {
+    resultsStatus.textContent = "";
+  }
+}
+
+// Keep the games that match the schema, logging the ones that don't.
+// A file that is wrong as a whole is rejected.
+function validateGames(data, schema) {
+  const errors = validateSchema(data, schema);
+  const badGames = new Map();
+  errors.forEach((error) => {
+    const match = /^\$\.games\[(\d+)\]/.exec(error);
+    if (!match) {
+      throw new Error(`Invalid games file: ${error}`);
+    }
+    badGames.set(Number(match[1]), error);
   });
-  imagesToLoad.forEach((img) => {
-    observer.observe(img);
-  });
-} else {
-  imagesToLoad.forEach((img) => {
-    loadImages(img);
+  badGames.forEach((error, index) => {
+    console.warn(`Skipping game ${index + 1}: ${error}`);
   });
+  return data.games.filter((game, index) => !badGames.has(index));
+}
+
+// Check a value against the parts of JSON Schema that
+// data/games.schema.json uses. Returns a list of error messages.
+function validateSchema(value, schema, root = schema, path = "$") {
+  if (schema.$ref) {
+    // Only local references like "#/$defs/game"
+    const target = schema.$ref
+      .slice(2)
+      .split("/")
+      .reduce((node, key) => node[key], root);
+    return validateSchema(value, target, root, path);
+  }
+  const type = Array.isArray(value)
+    ? "array"
+    : value === null
+      ? "null"
+      : typeof value;
+  if (schema.type && schema.type !== type) {
+    return [`${path} should be of type ${schema.type}`];
+  }
+
+  const errors = [];
+  if (type === "string") {
+    if (schema.minLength && value.length < schema.minLength) {
+      errors.push(`${path} is too short`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path} doesn't match ${schema.pattern}`);
+    }
+  } else if (type === "array" && schema.items) {
+    value.forEach((item, i) => {
+      errors.push(...validateSchema(item, schema.items, root, `${path}[${i}]`));
+    });
+  } else if (type === "object") {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach((key) => {
+      if (!(key in value)) {
+        errors.push(`${path}.${key} is required`);
+      }
+    });
+    Object.keys(value).forEach((key) => {
+      if (properties[key]) {
+        errors.push(
+          ...validateSchema(value[key], properties[key], root, `${path}.${key}`)
+        );
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      }
+    });
+  }
+  return errors;
 }
+
+retryButton.addEventListener("click", () => {
+  loadGames();
+});
+// Try again, or swap an offline copy for a fresh one, when back online
+window.addEventListener("online", () => {
+  if (["error", "stale", "favorites"].includes(loadState)) {
+    loadGames();
+  }
+});
+
+normalizeLaunchUrl();
+renderRoute();
+showFilters(readFilters());
+loadFavorites().then(loadGames);
+renderNotificationSettings();
+renderPushSettings();
+showNetworkStatus(navigator.onLine);
 console.log("new version");
 
 // Add update notification functionality
@@ -141,27 +922,47 @@ document.addEventListener("DOMContentLoaded", () => {
   document.head.appendChild(style);
 
   // Add event listener for the update button
-  document.getElementById("update-button").addEventListener("click", () => {
-    // Tell the service worker we're applying updates
-    if (navigator.serviceWorker.controller) {
-      navigator.serviceWorker.controller.postMessage({
-        type: "CLEAR_UPDATES",
-      });
+  const updateButton = document.getElementById("update-button");
+  updateButton.addEventListener("click", async () => {
+    if (!navigator.serviceWorker.controller) {
+      window.location.reload();
+      return;
     }
-    // Reload the page to apply updates
-    // Adding a small delay to ensure the service worker has time to clear the cache
-    const reloadDelay = 500; // 500ms delay
-    console.log(`Waiting ${reloadDelay}ms for cache clearing before reload`);
-    setTimeout(() => {
-      console.log("Reloading page to apply updates");
+    updateButton.disabled = true;
+    updateButton.textContent = "Updating…";
+    // Only reload once the service worker has the new version in place.
+    // A worker that never answers counts as a failed update.
+    const result = await askServiceWorker(
+      navigator.serviceWorker.controller,
+      { type: "APPLY_UPDATE" },
+      UPDATE_TIMEOUT
+    ).catch((error) => ({ type: "UPDATE_FAILED", message: error.message }));
+    if (result.type === "UPDATE_APPLIED") {
+      console.log("Update applied, reloading page");
       window.location.reload();
-    }, reloadDelay);
+      return;
+    }
+    console.error("Update failed:", result.message);
+    updateContainer.querySelector("p").textContent =
+      "The update couldn't be downloaded. Try again when you're online.";
+    updateButton.disabled = false;
+    updateButton.textContent = "Refresh to update";
+  });
+
+  // Ask the service worker to compare the cached files with the server
+  navigator.serviceWorker.ready.then((registration) => {
+    registration.active.postMessage({ type: "CHECK_FOR_UPDATES" });
   });
 
   // Listen for update messages from the service worker
   navigator.serviceWorker.addEventListener("message", (event) => {
     if (event.data && event.data.type === "UPDATE_AVAILABLE") {
-      console.log("Update available:", event.data.updatedResources);
+      const { updatedResources = [] } = event.data;
+      console.log("Update available:", updatedResources);
+      updateContainer.querySelector("p").textContent =
+        updatedResources.length === 1
+          ? "A new version is available! 1 file changed."
+          : `A new version is available! ${updatedResources.length} files changed.`;
 
       // Show the update notification
       updateContainer.style.display = "flex";
@@ -173,3 +974,6 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   });
 });
+
+// How long to wait for the service worker to download an update
+const UPDATE_TIMEOUT = 60000;
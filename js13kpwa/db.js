@@ -0,0 +1,102 @@
+// IndexedDB storage shared by the page (app.js) and the service worker,
+// which loads this file with importScripts()
+
+const APP_DB_NAME = "js13kpwa";
+const APP_DB_VERSION = 2;
+const SETTINGS_STORE = "settings";
+// Favorited games by slug, each a copy of its catalogue entry plus its
+// rank, so the favorites can be shown when the catalogue can't be loaded
+const FAVORITES_STORE = "favorites";
+
+// Settings keys
+// { intervalSeconds, lastShownAt } - intervalSeconds 0 means off
+const NOTIFICATION_SETTINGS_KEY = "notifications";
+// { serverUrl, publicKey } - where the push subscription was sent and
+// the server key it was made with, null when off
+const PUSH_SETTINGS_KEY = "push";
+// { name } - the static cache the service worker serves from, which
+// changes when an update is applied (see applyUpdate in sw.js)
+const STATIC_CACHE_KEY = "static-cache";
+
+let appDbPromise = null;
+
+// Open the database, creating or upgrading the stores on first use
+function openAppDb() {
+  if (!appDbPromise) {
+    appDbPromise = new Promise((resolve, reject) => {
+      const openRequest = indexedDB.open(APP_DB_NAME, APP_DB_VERSION);
+      openRequest.onupgradeneeded = (event) => {
+        const db = openRequest.result;
+        // Each case falls through to the next, so any old version is
+        // brought all the way up to date
+        switch (event.oldVersion) {
+          case 0:
+            db.createObjectStore(SETTINGS_STORE);
+          case 1:
+            db.createObjectStore(FAVORITES_STORE, { keyPath: "slug" });
+        }
+      };
+      openRequest.onsuccess = () => resolve(openRequest.result);
+      openRequest.onerror = () => {
+        appDbPromise = null;
+        reject(openRequest.error);
+      };
+    });
+  }
+  return appDbPromise;
+}
+
+// Run one request against a store and wait for its transaction
+async function appDbRequest(storeName, mode, createRequest) {
+  const db = await openAppDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = createRequest(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function getSetting(key) {
+  return appDbRequest(SETTINGS_STORE, "readonly", (store) => store.get(key));
+}
+
+function saveSetting(key, value) {
+  return appDbRequest(SETTINGS_STORE, "readwrite", (store) =>
+    store.put(value, key)
+  );
+}
+
+// Read a setting, change it and write it back in one transaction, so a
+// save made elsewhere in the meantime isn't overwritten
+async function updateSetting(key, change) {
+  const db = await openAppDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(SETTINGS_STORE, "readwrite");
+    const store = tx.objectStore(SETTINGS_STORE);
+    let value;
+    const request = store.get(key);
+    request.onsuccess = () => {
+      value = change(request.result);
+      store.put(value, key);
+    };
+    tx.oncomplete = () => resolve(value);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function getFavorites() {
+  return appDbRequest(FAVORITES_STORE, "readonly", (store) => store.getAll());
+}
+
+function saveFavorite(game) {
+  return appDbRequest(FAVORITES_STORE, "readwrite", (store) => store.put(game));
+}
+
+function deleteFavorite(slug) {
+  return appDbRequest(FAVORITES_STORE, "readwrite", (store) =>
+    store.delete(slug)
+  );
+}
@@ -0,0 +1,298 @@
+/**
+ * Mock push server for trying js13kPWA's Web Push support locally.
+ * Stands in for an app backend: it hands out the VAPID public key, keeps
+ * the subscriptions the page sends, and sends "new entry added" pushes.
+ * Uses only Node's built-in modules (Node 18 or later).
+ *
+ *   node mock-push-server.js [--port 8787] [--dry-run]
+ *
+ *   GET    /vapid-public-key  -> { publicKey }
+ *   POST   /subscriptions     <- PushSubscription JSON (+ oldEndpoint)
+ *   DELETE /subscriptions     <- { endpoint }
+ *   POST   /send              <- payload JSON, or a sample new entry
+ *
+ * e.g. curl -X POST localhost:8787/send -d '{"type":"new-entry","game":
+ *        {"slug":"a-snake","name":"A-Snake","author":"Someone"}}'
+ *
+ * Browsers only accept pushes through their own push service, which the
+ * subscription endpoint points at. With --dry-run nothing is sent there:
+ * the payload is printed instead, to paste into DevTools (Application >
+ * Service workers > Push), so the flow can be tried fully offline.
+ */
+
+const crypto = require("node:crypto");
+const fs = require("node:fs");
+const http = require("node:http");
+const path = require("node:path");
+
+const args = process.argv.slice(2);
+const PORT = Number(args[args.indexOf("--port") + 1]) || 8787;
+const DRY_RUN = args.includes("--dry-run");
+
+// Generated on first run and kept next to this file
+const VAPID_KEYS_FILE = path.join(__dirname, "vapid-keys.json");
+const SUBSCRIPTIONS_FILE = path.join(__dirname, "subscriptions.json");
+// Identifies the sender to push services, as the VAPID spec asks
+const VAPID_SUBJECT = "mailto:js13kpwa@example.com";
+// How long a push service should keep trying to deliver, in seconds
+const PUSH_TTL = 24 * 60 * 60;
+const RECORD_SIZE = 4096;
+
+const SAMPLE_PAYLOAD = {
+  type: "new-entry",
+  game: {
+    slug: "a-snake",
+    name: "A-Snake",
+    author: "js13kGames",
+  },
+};
+
+// -------------
+// Storage
+// -------------
+
+function readJson(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    return fallback;
+  }
+}
+
+function writeJson(file, value) {
+  fs.writeFileSync(file, `${JSON.stringify(value, null, 2)}\n`);
+}
+
+// VAPID keys as base64url: the raw uncompressed public point and the
+// private key as a JWK, so they survive restarts
+function loadVapidKeys() {
+  const saved = readJson(VAPID_KEYS_FILE, null);
+  if (saved) {
+    return saved;
+  }
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("ec", {
+    namedCurve: "prime256v1",
+  });
+  const keys = {
+    publicKey: rawPublicKey(publicKey.export({ format: "jwk" })).toString(
+      "base64url"
+    ),
+    privateJwk: privateKey.export({ format: "jwk" }),
+  };
+  writeJson(VAPID_KEYS_FILE, keys);
+  console.log(`Generated VAPID keys in ${VAPID_KEYS_FILE}`);
+  return keys;
+}
+
+function rawPublicKey(jwk) {
+  return Buffer.concat([
+    Buffer.from([0x04]),
+    Buffer.from(jwk.x, "base64url"),
+    Buffer.from(jwk.y, "base64url"),
+  ]);
+}
+
+const vapidKeys = loadVapidKeys();
+let subscriptions = readJson(SUBSCRIPTIONS_FILE, []);
+
+function saveSubscriptions() {
+  writeJson(SUBSCRIPTIONS_FILE, subscriptions);
+}
+
+// -------------
+// Web Push
+// -------------
+
+// Signed VAPID JWT for the push service that owns the endpoint (RFC 8292)
+function vapidAuthorization(endpoint) {
+  const header = { typ: "JWT", alg: "ES256" };
+  const claims = {
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(Date.now() / 1000) + 12 * 60 * 60,
+    sub: VAPID_SUBJECT,
+  };
+  const unsigned = [header, claims]
+    .map((part) => Buffer.from(JSON.stringify(part)).toString("base64url"))
+    .join(".");
+  const signature = crypto.sign("sha256", Buffer.from(unsigned), {
+    key: crypto.createPrivateKey({
+      key: vapidKeys.privateJwk,
+      format: "jwk",
+    }),
+    dsaEncoding: "ieee-p1363",
+  });
+  return `vapid t=${unsigned}.${signature.toString("base64url")}, k=${
+    vapidKeys.publicKey
+  }`;
+}
+
+// Encrypt a payload for one subscription (RFC 8291, aes128gcm)
+function encryptPayload(subscription, payload) {
+  const userAgentPublic = Buffer.from(subscription.keys.p256dh, "base64url");
+  const authSecret = Buffer.from(subscription.keys.auth, "base64url");
+
+  const ecdh = crypto.createECDH("prime256v1");
+  const serverPublic = ecdh.generateKeys();
+  const sharedSecret = ecdh.computeSecret(userAgentPublic);
+
+  const keyInfo = Buffer.concat([
+    Buffer.from("WebPush: info\0"),
+    userAgentPublic,
+    serverPublic,
+  ]);
+  const ikm = hkdf(authSecret, sharedSecret, keyInfo, 32);
+  const salt = crypto.randomBytes(16);
+  const contentKey = hkdf(
+    salt,
+    ikm,
+    Buffer.from("Content-Encoding: aes128gcm\0"),
+    16
+  );
+  const nonce = hkdf(salt, ikm, Buffer.from("Content-Encoding: nonce\0"), 12);
+
+  const cipher = crypto.createCipheriv("aes-128-gcm", contentKey, nonce);
+  // A single record, ended by the 0x02 padding delimiter
+  const ciphertext = Buffer.concat([
+    cipher.update(Buffer.concat([Buffer.from(payload), Buffer.from([2])])),
+    cipher.final(),
+    cipher.getAuthTag(),
+  ]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(serverPublic.length, 20);
+  return Buffer.concat([header, serverPublic, ciphertext]);
+}
+
+function hkdf(salt, ikm, info, length) {
+  return Buffer.from(crypto.hkdfSync("sha256", ikm, salt, info, length));
+}
+
+// Send to every subscription, dropping ones the push service says are gone
+async function sendToAll(payload) {
+  const body = JSON.stringify(payload);
+  if (DRY_RUN) {
+    console.log(`Dry run, not sending. Payload for DevTools:\n${body}`);
+    return subscriptions.map(({ endpoint }) => ({
+      endpoint,
+      status: "dry-run",
+    }));
+  }
+
+  const results = await Promise.all(
+    subscriptions.map(async (subscription) => {
+      try {
+        const response = await fetch(subscription.endpoint, {
+          method: "POST",
+          headers: {
+            Authorization: vapidAuthorization(subscription.endpoint),
+            "Content-Encoding": "aes128gcm",
+            "Content-Type": "application/octet-stream",
+            TTL: String(PUSH_TTL),
+          },
+          body: encryptPayload(subscription, body),
+        });
+        return { endpoint: subscription.endpoint, status: response.status };
+      } catch (error) {
+        return { endpoint: subscription.endpoint, status: error.message };
+      }
+    })
+  );
+
+  const gone = results
+    .filter(({ status }) => status === 404 || status === 410)
+    .map(({ endpoint }) => endpoint);
+  if (gone.length) {
+    subscriptions = subscriptions.filter(
+      ({ endpoint }) => !gone.includes(endpoint)
+    );
+    saveSubscriptions();
+  }
+  results.forEach(({ endpoint, status }) => {
+    console.log(`Push to ${endpoint.slice(0, 60)}…: ${status}`);
+  });
+  return results;
+}
+
+// -------------
+// HTTP server
+// -------------
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    request.on("data", (chunk) => {
+      data += chunk;
+    });
+    request.on("end", () => {
+      try {
+        resolve(data ? JSON.parse(data) : null);
+      } catch (error) {
+        reject(error);
+      }
+    });
+    request.on("error", reject);
+  });
+}
+
+function sendJson(response, status, value) {
+  response.writeHead(status, { "Content-Type": "application/json" });
+  response.end(JSON.stringify(value));
+}
+
+const server = http.createServer(async (request, response) => {
+  // The app is served from another origin
+  response.setHeader("Access-Control-Allow-Origin", "*");
+  response.setHeader("Access-Control-Allow-Methods", "GET, POST, DELETE");
+  response.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  if (request.method === "OPTIONS") {
+    response.writeHead(204);
+    response.end();
+    return;
+  }
+
+  const route = `${request.method} ${new URL(request.url, "http://x").pathname}`;
+  try {
+    if (route === "GET /vapid-public-key") {
+      sendJson(response, 200, { publicKey: vapidKeys.publicKey });
+    } else if (route === "POST /subscriptions") {
+      const { oldEndpoint, ...subscription } = await readBody(request);
+      if (!subscription.endpoint || !subscription.keys) {
+        sendJson(response, 400, { error: "Not a push subscription" });
+        return;
+      }
+      subscriptions = subscriptions
+        .filter(
+          ({ endpoint }) =>
+            endpoint !== subscription.endpoint && endpoint !== oldEndpoint
+        )
+        .concat(subscription);
+      saveSubscriptions();
+      console.log(`Subscribed (${subscriptions.length} total)`);
+      sendJson(response, 201, { subscribed: true });
+    } else if (route === "DELETE /subscriptions") {
+      const { endpoint } = (await readBody(request)) || {};
+      subscriptions = subscriptions.filter(
+        (subscription) => subscription.endpoint !== endpoint
+      );
+      saveSubscriptions();
+      console.log(`Unsubscribed (${subscriptions.length} total)`);
+      sendJson(response, 200, { subscribed: false });
+    } else if (route === "POST /send") {
+      const payload = (await readBody(request)) || SAMPLE_PAYLOAD;
+      sendJson(response, 200, { results: await sendToAll(payload) });
+    } else {
+      sendJson(response, 404, { error: `No route for ${route}` });
+    }
+  } catch (error) {
+    console.error(error);
+    sendJson(response, 500, { error: error.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(
+    `Mock push server on http://localhost:${PORT}${DRY_RUN ? " (dry run)" : ""}`
+  );
+});
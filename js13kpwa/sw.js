@@ -4,18 +4,24 @@
  * Updates cache with latest network sources
  */
 
+// Settings shared with the page (getSetting/saveSetting)
+importScripts("db.js");
+
 // Cache names - Increment version to force refresh
 const CACHE_NAMES = {
-  static: "static-cache-v16", // Incremented version number
+  static: "static-cache-v24", // Incremented version number
   dynamic: "dynamic-cache-v8",
+  data: "data-cache-v1", // Game catalogue, kept fresh by network-first
+  favorites: "favorites-cache-v1", // Images of favorited games, never expired
+  offline: "offline-cache-v1", // "Make available offline" images, never expired
 };
 
 // Core static assets to precache - only include assets confirmed to exist
 const CORE_ASSETS = [
   "/pwa-examples/js13kpwa/",
   "/pwa-examples/js13kpwa/index.html",
-  "/pwa-examples/js13kpwa/app.js?v=19",
-  "/pwa-examples/js13kpwa/data/games.js",
+  "/pwa-examples/js13kpwa/app.js?v=27",
+  "/pwa-examples/js13kpwa/db.js",
   "/pwa-examples/js13kpwa/data/img/coconutty.jpg",
   "/pwa-examples/js13kpwa/data/img/lost-in-cyberspace.jpg",
   "/pwa-examples/js13kpwa/data/img/lost-pacman.jpg",
@@ -26,9 +32,142 @@ const CORE_ASSETS = [
   "/pwa-examples/js13kpwa/icons/icon-168.png",
   "/pwa-examples/js13kpwa/img/bg.png",
   "/pwa-examples/js13kpwa/img/js13kgames.png",
-  "/pwa-examples/js13kpwa/style.css?v=3",
+  "/pwa-examples/js13kpwa/style.css?v=4",
+];
+// Game data, precached so the list works offline even if the page fetched
+// it before this worker took control. Not in CORE_ASSETS: new entries are
+// picked up by the "game-data" route, not shipped as an app update.
+const DATA_ASSETS = [
+  "/pwa-examples/js13kpwa/data/games.json",
+  "/pwa-examples/js13kpwa/data/games.schema.json",
+];
+// Random game notifications (see maybeShowRandomGame)
+const APP_ROOT = "/pwa-examples/js13kpwa/";
+const RANDOM_GAME_SYNC_TAG = "random-game";
+// Timers and periodic sync aren't exact, so allow a little early
+const NOTIFICATION_INTERVAL_TOLERANCE = 0.9;
+// The static cache currently served from (see getStaticCacheName)
+let staticCacheName = null;
+const swversion = "v29"; // Update this version when making changes to the service worker
+
+// Headers added to responses a strategy served instead of the network:
+//   X-SW-Source: "cache" or "offline" (a generated placeholder)
+//   X-SW-Fallback-Reason: "timeout" or "network-error"
+const FALLBACK_HEADERS = {
+  source: "X-SW-Source",
+  reason: "X-SW-Fallback-Reason",
+};
+// What raceTimeout() resolves with when the network is too slow
+const NETWORK_TIMEOUT = Symbol("network-timeout");
+// Whether the network was reachable last time we heard, from the pages'
+// online/offline events or our own fetches (see setNetworkStatus)
+let networkOnline = true;
+
+// Expiration defaults for each cache (see "Cache expiration" below)
+const CACHE_EXPIRATION = {
+  [CACHE_NAMES.static]: { maxEntries: 60, maxAgeSeconds: 30 * 24 * 60 * 60 },
+  [CACHE_NAMES.dynamic]: { maxEntries: 50, maxAgeSeconds: 7 * 24 * 60 * 60 },
+};
+// Start evicting when storage use passes this share of the quota
+const QUOTA_USAGE_LIMIT = 0.9;
+// IndexedDB database holding when each cached entry was stored and used
+const EXPIRATION_DB = { name: "sw-cache-expiration", store: "entries" };
+let expirationDbPromise = null;
+// Full URLs of CORE_ASSETS, which are precached and never expire
+const CORE_ASSET_URLS = new Set(
+  CORE_ASSETS.map((asset) => new URL(asset, self.location.origin).href)
+);
+// Caches whose entries never expire and aren't evicted: the game data is
+// what the list falls back to offline, and network-first keeps it fresh
+const UNEXPIRED_CACHES = [CACHE_NAMES.data];
+
+// Caching strategies a route can use, by name
+const STRATEGIES = {
+  "cache-first": cacheFirst,
+  "network-first": networkFirst,
+  "stale-while-revalidate": staleWhileRevalidate,
+  "network-only": networkOnly,
+  "cache-only": cacheOnly,
+  "favorites-first": favoritesFirst,
+};
+
+// Route table - the first route that matches a request handles it.
+// Requests that match no route are left to the browser.
+// Matchers (all optional, a missing one matches anything):
+//   method:      HTTP method or list of methods (defaults to "GET")
+//   mode:        request.mode, e.g. "navigate" for page loads
+//   destination: request.destination or list of them, e.g. "image"
+//   urlPattern:  RegExp tested against the URL path, or a function
+//                that receives the URL object and the request
+// Handling:
+//   strategy:    one of the STRATEGIES names
+//   cacheName:   cache the strategy reads from and writes to
+//   options:     per-route settings for the strategy
+//     networkTimeoutSeconds: serve the cached copy if the network takes
+//                            longer than this (network-first only)
+//     timeoutMode:           "race" lets the late response update the
+//                            cache, "abort" cancels it (default "race")
+//     maxEntries:            keep at most this many entries in the cache
+//     maxAgeSeconds:         treat entries older than this as missing
+//                            (both default to CACHE_EXPIRATION)
+//     ignoreSearch:          cache and look up the URL without its
+//                            query string
+const ROUTES = [
+  {
+    name: "navigation",
+    mode: "navigate",
+    strategy: "stale-while-revalidate",
+    cacheName: CACHE_NAMES.static,
+    // Search and filter state lives in the query string (see app.js)
+    options: { ignoreSearch: true },
+  },
+  {
+    // Before "static-file", which would match .json too
+    name: "game-data",
+    urlPattern: /\/data\/games(\.schema)?\.json$/,
+    strategy: "network-first",
+    cacheName: CACHE_NAMES.data,
+    options: { networkTimeoutSeconds: 3 },
+  },
+  {
+    // Before "static-asset", so favorited games' images work offline
+    name: "game-image",
+    urlPattern: /\/data\/img\/[^/]+\.jpg$/,
+    strategy: "favorites-first",
+    cacheName: CACHE_NAMES.static,
+  },
+  {
+    name: "static-asset",
+    destination: ["style", "script", "font", "image"],
+    strategy: "stale-while-revalidate",
+    cacheName: CACHE_NAMES.static,
+  },
+  {
+    name: "static-file",
+    urlPattern: /\.(svg|css|js|json|woff2?|ttf|eot|wasm|png|jpe?g|gif)$/,
+    strategy: "stale-while-revalidate",
+    cacheName: CACHE_NAMES.static,
+  },
+  {
+    // The mock push server's key (push-server/mock-push-server.js) may be
+    // regenerated, so never answer with a cached one
+    name: "push-key",
+    urlPattern: /\/vapid-public-key$/,
+    strategy: "network-only",
+  },
+  {
+    name: "api",
+    urlPattern: /\/api\/|\/graphql/,
+    strategy: "network-first",
+    cacheName: CACHE_NAMES.dynamic,
+    options: { networkTimeoutSeconds: 4 },
+  },
+  {
+    name: "default",
+    strategy: "stale-while-revalidate",
+    cacheName: CACHE_NAMES.dynamic,
+  },
 ];
-const swversion = "v19"; // Update this version when making changes to the service worker
 // Install event - precache core assets
 self.addEventListener("install", (event) => {
   console.log("[Service Worker] Installing...", swversion);
@@ -47,6 +186,8 @@ self.addEventListener("install", (event) => {
         // Add core assets with error reporting
         try {
           await cache.addAll(CORE_ASSETS);
+          const dataCache = await caches.open(CACHE_NAMES.data);
+          await dataCache.addAll(DATA_ASSETS);
           // console.log(
           //   "[Service Worker] Assets successfully cached in",
           //   CACHE_NAMES.static
@@ -79,31 +220,65 @@ self.addEventListener("install", (event) => {
 // Activate event - clean up old caches and immediately claim clients
 self.addEventListener("activate", (event) => {
   console.log("[Service Worker] Activated");
-  self.clients.claim(); // Take control of all clients immediately
+  event.waitUntil(
+    (async () => {
+      // install just filled CACHE_NAMES.static, so serve from it again
+      staticCacheName = CACHE_NAMES.static;
+      await saveSetting(STATIC_CACHE_KEY, { name: staticCacheName });
+
+      // Remove caches from earlier versions and any unfinished update
+      const currentCaches = await getCurrentCacheNames();
+      const names = await caches.keys();
+      await Promise.all(
+        names
+          .filter((name) => !currentCaches.includes(name))
+          .map((name) => {
+            console.log(`[Service Worker] Deleting old cache: ${name}`);
+            return caches.delete(name);
+          })
+      );
+      // Also forgets data entries recorded before they were exempt
+      await pruneExpirationEntries(
+        currentCaches.filter((name) => !UNEXPIRED_CACHES.includes(name))
+      );
+      await syncFavorites().catch((error) => {
+        console.warn("[Service Worker] Couldn't sync favorites", error);
+      });
+      await self.clients.claim(); // Take control of all clients immediately
+    })()
+  );
   setTimeout(() => {
     checkForUpdates();
     console.log("[Service Worker] Checking for updates...");
   }, 5000); // Use setTimeout to ensure this runs after the activate event
 });
 
-// Network-first strategy with cache fallback
-async function networkFirst(request, cacheName) {
+// Network-first strategy with cache fallback.
+// With options.networkTimeoutSeconds set, a slow network gives way to the
+// cached copy once the timeout expires. In the default "race" timeoutMode
+// the network request carries on and updates the cache when it arrives;
+// in "abort" mode it is cancelled with an AbortController instead.
+// Fallback responses say where they came from in FALLBACK_HEADERS.
+async function networkFirst(request, cacheName, options = {}, event) {
   const requestUrl = request.url;
+  const { networkTimeoutSeconds, timeoutMode = "race" } = options;
   console.log(`[Service Worker] NetworkFirst: Fetching ${requestUrl}`);
 
-  try {
-    const networkResponse = await fetch(request);
+  const controller = timeoutMode === "abort" ? new AbortController() : null;
+  const networkResponsePromise = trackedFetch(
+    request,
+    controller ? { signal: controller.signal } : undefined
+  ).then(async (networkResponse) => {
     console.log(
       `[Service Worker] NetworkFirst: Network response for ${requestUrl}`,
       `status: ${networkResponse.status}`
     );
 
     if (networkResponse.ok) {
-      const cache = await caches.open(cacheName);
       console.log(
         `[Service Worker] NetworkFirst: Caching response for ${requestUrl} in ${cacheName}`
       );
-      await cache.put(request, networkResponse.clone());
+      await putInCache(cacheName, request, networkResponse.clone(), options);
       console.log(
         `[Service Worker] NetworkFirst: Successfully cached ${requestUrl}`
       );
@@ -113,67 +288,120 @@ async function networkFirst(request, cacheName) {
       );
     }
     return networkResponse;
+  });
+
+  // Failures are handled below; this only stops unhandled rejections
+  networkResponsePromise.catch(() => {});
+
+  let reason = "network-error";
+  try {
+    const networkResponse = await raceTimeout(
+      networkResponsePromise,
+      networkTimeoutSeconds
+    );
+    if (networkResponse !== NETWORK_TIMEOUT) {
+      return networkResponse;
+    }
+    reason = "timeout";
+    console.log(
+      `[Service Worker] NetworkFirst: Network timed out after ${networkTimeoutSeconds}s for ${requestUrl}`
+    );
+    if (controller) {
+      controller.abort();
+    } else if (event) {
+      // Keep the worker alive so the late response can update the cache
+      event.waitUntil(networkResponsePromise.catch(() => {}));
+    }
   } catch (error) {
     console.log(
       `[Service Worker] NetworkFirst: Network failed for ${requestUrl}`,
       error
     );
+  }
+
+  console.log(
+    `[Service Worker] NetworkFirst: Falling back to cache for ${requestUrl}`
+  );
+  // Precached core assets aren't in cacheName, so look everywhere after
+  const cached =
+    (await matchInCache(cacheName, request, options)) ??
+    (await caches.match(getCacheKey(request, options)));
+  if (cached) {
     console.log(
-      `[Service Worker] NetworkFirst: Falling back to cache for ${requestUrl}`
+      `[Service Worker] NetworkFirst: Serving from cache for ${requestUrl}`
     );
+    return withFallbackHeaders(cached, "cache", reason);
+  }
 
-    const cached = await caches.match(request);
-    if (cached) {
-      console.log(
-        `[Service Worker] NetworkFirst: Serving from cache for ${requestUrl}`
-      );
-      return cached;
+  console.log(
+    `[Service Worker] NetworkFirst: No cache found for ${requestUrl}`
+  );
+  if (reason === "timeout" && !controller) {
+    // Nothing to fall back to, so a slow answer beats none
+    console.log(
+      `[Service Worker] NetworkFirst: Still waiting for the network for ${requestUrl}`
+    );
+    try {
+      return await networkResponsePromise;
+    } catch (error) {
+      reason = "network-error";
     }
+  }
 
+  if (request.url.includes("/api/") || request.url.includes("/graphql")) {
     console.log(
-      `[Service Worker] NetworkFirst: No cache found for ${requestUrl}`
+      `[Service Worker] NetworkFirst: Serving offline API response for ${requestUrl}`
     );
-    if (request.url.includes("/api/") || request.url.includes("/graphql")) {
-      console.log(
-        `[Service Worker] NetworkFirst: Serving offline API response for ${requestUrl}`
-      );
-      return new Response(
+    return withFallbackHeaders(
+      new Response(
         JSON.stringify({
           offline: true,
           message: "Offline: data unavailable.",
         }),
         { headers: { "Content-Type": "application/json" } }
-      );
-    }
-
-    if (request.mode === "navigate") {
-      console.log(
-        `[Service Worker] NetworkFirst: Serving index.html for navigation to ${requestUrl}`
-      );
-      return caches.match("./index.html");
-    }
+      ),
+      "offline",
+      reason
+    );
+  }
 
+  if (request.mode === "navigate") {
     console.log(
-      `[Service Worker] NetworkFirst: Serving generic offline response for ${requestUrl}`
+      `[Service Worker] NetworkFirst: Serving index.html for navigation to ${requestUrl}`
     );
-    return new Response("Resource unavailable offline", {
+    const indexResponse = await caches.match("./index.html");
+    return indexResponse
+      ? withFallbackHeaders(indexResponse, "cache", reason)
+      : Response.error();
+  }
+
+  console.log(
+    `[Service Worker] NetworkFirst: Serving generic offline response for ${requestUrl}`
+  );
+  return withFallbackHeaders(
+    new Response("Resource unavailable offline", {
       status: 200,
       headers: { "Content-Type": "text/plain" },
-    });
-  }
+    }),
+    "offline",
+    reason
+  );
 }
 
 // Stale-while-revalidate strategy
-async function staleWhileRevalidate(request, cacheName) {
+async function staleWhileRevalidate(request, cacheName, options = {}) {
   const requestUrl = request.url;
   console.log(`[Service Worker] StaleWhileRevalidate: Handling ${requestUrl}`);
 
-  const cache = await caches.open(cacheName);
+  // Core assets only change with the whole app: install and applyUpdate()
+  // cache them, and here a newer copy only means an update is available
+  const cacheKey = getCacheKey(request, options);
+  const isCoreAsset = CORE_ASSET_URLS.has(cacheKey.url ?? cacheKey);
 
   // Try to get the response from cache.
-  const cachedResponsePromise = cache.match(request);
+  const cachedResponsePromise = matchInCache(cacheName, request, options);
   // Simultaneously, fetch the response from the network.
-  const networkResponsePromise = fetch(request);
+  const networkResponsePromise = trackedFetch(request);
 
   // If a cached response is found, return it immediately.
   // In the background, update the cache with the network response.
@@ -182,17 +410,31 @@ async function staleWhileRevalidate(request, cacheName) {
     console.log(
       `[Service Worker] StaleWhileRevalidate: Cache hit for ${requestUrl}. Returning cached response.`
     );
+    // Kept to spot a changed core asset once the network responds
+    const cachedCopy = isCoreAsset ? cachedResponse.clone() : null;
 
     // Don't wait for the network to respond to update the cache (non-blocking).
     // This ensures the user gets the cached content fast.
     networkResponsePromise
-      .then((networkResponse) => {
+      .then(async (networkResponse) => {
         if (networkResponse.ok) {
+          // The page is running the cached copy, so a change is an update
+          if (cachedCopy) {
+            if (await responsesDiffer(cachedCopy, networkResponse)) {
+              await notifyUpdateAvailable([requestUrl]);
+            }
+            return;
+          }
           console.log(
             `[Service Worker] StaleWhileRevalidate: Background update - Caching network response for ${requestUrl}`
           );
           // Clone the response before putting it in the cache, as the body can only be consumed once.
-          cache.put(request, networkResponse.clone()).catch((err) => {
+          putInCache(
+            cacheName,
+            request,
+            networkResponse.clone(),
+            options
+          ).catch((err) => {
             console.error(
               `[Service Worker] StaleWhileRevalidate: Background cache put failed for ${requestUrl}`,
               err
@@ -223,17 +465,19 @@ async function staleWhileRevalidate(request, cacheName) {
   try {
     const networkResponse = await networkResponsePromise;
     // If the network request is successful, cache it before returning.
-    if (networkResponse.ok) {
+    if (networkResponse.ok && !isCoreAsset) {
       console.log(
         `[Service Worker] StaleWhileRevalidate: Caching network response for ${requestUrl}`
       );
       // Clone the response before putting it in the cache.
-      cache.put(request, networkResponse.clone()).catch((err) => {
-        console.error(
-          `[Service Worker] StaleWhileRevalidate: Cache put failed for ${requestUrl}`,
-          err
-        );
-      });
+      putInCache(cacheName, request, networkResponse.clone(), options).catch(
+        (err) => {
+          console.error(
+            `[Service Worker] StaleWhileRevalidate: Cache put failed for ${requestUrl}`,
+            err
+          );
+        }
+      );
     }
     return networkResponse;
   } catch (error) {
@@ -248,89 +492,879 @@ async function staleWhileRevalidate(request, cacheName) {
   }
 }
 
-// Fetch handler - slightly modified to ensure cache status is logged
-self.addEventListener("fetch", (event) => {
-  const { request } = event;
-  const url = new URL(request.url);
+// Cache-first strategy - only goes to the network on a cache miss
+async function cacheFirst(request, cacheName, options = {}) {
+  const requestUrl = request.url;
+  const cachedResponse = await matchInCache(cacheName, request, options);
+  if (cachedResponse) {
+    console.log(`[Service Worker] CacheFirst: Cache hit for ${requestUrl}`);
+    return cachedResponse;
+  }
 
-  // Ignore non-GET requests
-  if (request.method !== "GET") return;
+  console.log(
+    `[Service Worker] CacheFirst: Cache miss for ${requestUrl}. Fetching from network.`
+  );
+  const networkResponse = await trackedFetch(request);
+  if (networkResponse.ok) {
+    await putInCache(cacheName, request, networkResponse.clone(), options);
+    console.log(
+      `[Service Worker] CacheFirst: Cached ${requestUrl} in ${cacheName}`
+    );
+  }
+  return networkResponse;
+}
 
-  // Log all fetch operations to help with debugging
-  console.log(`[Service Worker] Fetch: ${request.url}`);
+// Network-only strategy - never touches the cache
+async function networkOnly(request) {
+  console.log(`[Service Worker] NetworkOnly: Fetching ${request.url}`);
+  return trackedFetch(request);
+}
 
-  // Handle navigation requests (e.g., index.html) with network-first.
-  if (request.mode === "navigate") {
-    console.log(`[Service Worker] Navigation request: ${request.url}`);
-    event.respondWith(staleWhileRevalidate(request, CACHE_NAMES.static));
+// Cache-only strategy - never touches the network
+async function cacheOnly(request, cacheName, options = {}) {
+  const requestUrl = request.url;
+  const cachedResponse = await matchInCache(cacheName, request, options);
+  if (cachedResponse) {
+    console.log(`[Service Worker] CacheOnly: Cache hit for ${requestUrl}`);
+    return cachedResponse;
+  }
+  console.warn(`[Service Worker] CacheOnly: Nothing cached for ${requestUrl}`);
+  return new Response("Resource not cached", {
+    status: 504,
+    headers: { "Content-Type": "text/plain" },
+  });
+}
+
+// Favorites-first strategy - serve a game's image from the favorites
+// cache (see syncFavorites) or the offline cache (see
+// cacheGameForOffline), otherwise stale-while-revalidate
+async function favoritesFirst(request, cacheName, options = {}, event) {
+  const savedResponse = await matchSavedImage(request);
+  if (savedResponse) {
+    console.log(
+      `[Service Worker] FavoritesFirst: Saved hit for ${request.url}`
+    );
+    return savedResponse;
+  }
+  return staleWhileRevalidate(request, cacheName, options, event);
+}
+
+// Images saved for offline use. "Cache expiration" below never touches
+// these caches, so unlike the static cache they don't disappear.
+async function matchSavedImage(request) {
+  for (const cacheName of [CACHE_NAMES.favorites, CACHE_NAMES.offline]) {
+    const cache = await caches.open(cacheName);
+    const response = await cache.match(request);
+    if (response) {
+      return response;
+    }
+  }
+  return undefined;
+}
+
+// fetch() for the strategies, noting whether the network answered. Only
+// same-origin requests count, so a third-party server being down (like
+// the push server) doesn't make the app look offline.
+function trackedFetch(request, init) {
+  const sameOrigin = new URL(request.url).origin === self.location.origin;
+  return fetch(request, init).then(
+    (response) => {
+      if (sameOrigin) {
+        setNetworkStatus(true);
+      }
+      return response;
+    },
+    (error) => {
+      // An abort is our own timeout, not the network going away
+      if (sameOrigin && error.name !== "AbortError") {
+        setNetworkStatus(false);
+      }
+      throw error;
+    }
+  );
+}
+
+// Tell the pages when the network comes or goes, so they can show it
+async function setNetworkStatus(isOnline) {
+  if (isOnline === networkOnline) {
     return;
   }
+  networkOnline = isOnline;
+  console.log(
+    `[Service Worker] Network is now ${isOnline ? "online" : "offline"}`
+  );
+  const clients = await self.clients.matchAll({ type: "window" });
+  clients.forEach((client) => {
+    client.postMessage({ type: "NETWORK_STATUS", isOnline });
+  });
+}
 
-  // Handle static assets with stale-while-revalidate.
-  const isStaticAsset =
-    ["style", "script", "font", "image"].includes(request.destination) ||
-    /\.(svg|css|js|json|woff2?|ttf|eot|wasm|png|jpe?g|gif)$/.test(url.pathname);
+// Wait for a promise, or resolve with NETWORK_TIMEOUT after timeoutSeconds
+function raceTimeout(promise, timeoutSeconds) {
+  if (!timeoutSeconds) {
+    return promise;
+  }
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(NETWORK_TIMEOUT), timeoutSeconds * 1000);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Copy a response with headers saying it isn't a fresh network response.
+// Opaque responses can't be read or copied, so they are returned as is.
+async function withFallbackHeaders(response, source, reason) {
+  if (response.type === "opaque") {
+    return response;
+  }
+  const headers = new Headers(response.headers);
+  headers.set(FALLBACK_HEADERS.source, source);
+  headers.set(FALLBACK_HEADERS.reason, reason);
+  return new Response(await response.blob(), {
+    status: response.status,
+    statusText: response.statusText,
+    headers,
+  });
+}
+
+// -------------
+// Cache expiration
+// -------------
+// Every response a strategy caches is recorded in IndexedDB with when it
+// was stored and last used. After each write a cache is cut back to its
+// maxEntries, least recently used first, and entries older than
+// maxAgeSeconds are dropped. Precached CORE_ASSETS and the
+// UNEXPIRED_CACHES are never expired.
 
-  if (isStaticAsset) {
-    console.log(`[Service Worker] Static asset request: ${request.url}`);
-    event.respondWith(staleWhileRevalidate(request, CACHE_NAMES.static));
+// Open the expiration database, creating it on first use
+function openExpirationDb() {
+  if (!expirationDbPromise) {
+    expirationDbPromise = new Promise((resolve, reject) => {
+      const openRequest = indexedDB.open(EXPIRATION_DB.name, 1);
+      openRequest.onupgradeneeded = () => {
+        const store = openRequest.result.createObjectStore(
+          EXPIRATION_DB.store,
+          { keyPath: "id" }
+        );
+        store.createIndex("cacheName", "cacheName");
+      };
+      openRequest.onsuccess = () => resolve(openRequest.result);
+      openRequest.onerror = () => {
+        expirationDbPromise = null;
+        reject(openRequest.error);
+      };
+    });
+  }
+  return expirationDbPromise;
+}
+
+// Run requests against the entries store and wait for the transaction.
+// Resolves with the result of the request createRequest returns, if any.
+async function expirationDbRequest(mode, createRequest) {
+  const db = await openExpirationDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(EXPIRATION_DB.store, mode);
+    const request = createRequest(tx.objectStore(EXPIRATION_DB.store));
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function getEntryId(cacheName, url) {
+  return `${cacheName} ${url}`;
+}
+
+// Cache defaults, overridden by the route's own maxEntries/maxAgeSeconds
+function getExpiration(cacheName, options = {}) {
+  const defaults =
+    CACHE_EXPIRATION[
+      isStaticCacheName(cacheName) ? CACHE_NAMES.static : cacheName
+    ] ?? {};
+  return {
+    maxEntries: options.maxEntries ?? defaults.maxEntries,
+    maxAgeSeconds: options.maxAgeSeconds ?? defaults.maxAgeSeconds,
+  };
+}
+
+function isExpired(entry, { maxAgeSeconds }) {
+  return (
+    Boolean(maxAgeSeconds) && Date.now() - entry.storedAt > maxAgeSeconds * 1000
+  );
+}
+
+// With options.ignoreSearch, cache under the URL without its query string,
+// so every filtered view of a page shares one cached copy
+function getCacheKey(request, options = {}) {
+  if (!options.ignoreSearch) {
+    return request;
+  }
+  const url = new URL(request.url ?? request, self.location.origin);
+  url.search = "";
+  return url.href;
+}
+
+// Entries that are never recorded, so expiration and eviction skip them
+function neverExpires(cacheName, url) {
+  return CORE_ASSET_URLS.has(url) || UNEXPIRED_CACHES.includes(cacheName);
+}
+
+// Cache a response and record it, making room first when storage is
+// nearly full and purging runtime caches if the write still hits the quota
+async function putInCache(cacheName, request, response, options = {}) {
+  request = getCacheKey(request, options);
+  const url = request.url ?? request;
+  const cache = await caches.open(cacheName);
+  await ensureStorageRoom();
+  try {
+    await cache.put(request, response.clone());
+  } catch (error) {
+    if (error.name !== "QuotaExceededError") {
+      throw error;
+    }
+    console.warn(
+      `[Service Worker] Quota exceeded caching ${url}, purging runtime caches`
+    );
+    await purgeRuntimeCaches();
+    await cache.put(request, response);
+  }
+
+  if (neverExpires(cacheName, url)) {
     return;
   }
+  const now = Date.now();
+  await expirationDbRequest("readwrite", (store) =>
+    store.put({
+      id: getEntryId(cacheName, url),
+      cacheName,
+      url,
+      storedAt: now,
+      lastUsedAt: now,
+    })
+  );
+  await expireEntries(cacheName, options);
+}
+
+// Find a cached response, treating an expired one as missing
+async function matchInCache(cacheName, request, options = {}) {
+  request = getCacheKey(request, options);
+  const url = request.url ?? request;
+  const cache = await caches.open(cacheName);
+  const response = await cache.match(request);
+  if (!response || neverExpires(cacheName, url)) {
+    return response;
+  }
+  const id = getEntryId(cacheName, url);
+  const entry = await expirationDbRequest("readonly", (store) => store.get(id));
+  if (!entry) {
+    return response;
+  }
+  if (isExpired(entry, getExpiration(cacheName, options))) {
+    console.log(`[Service Worker] Expired ${url} in ${cacheName}`);
+    await deleteEntries([entry]);
+    return undefined;
+  }
+  // Record the use for LRU eviction without holding up the response
+  expirationDbRequest("readwrite", (store) =>
+    store.put({ ...entry, lastUsedAt: Date.now() })
+  ).catch((error) => {
+    console.warn(`[Service Worker] Couldn't record use of ${url}`, error);
+  });
+  return response;
+}
 
-  // Handle API requests with network-first.
-  if (url.pathname.includes("/api/") || url.pathname.includes("/graphql")) {
-    console.log(`[Service Worker] API request: ${request.url}`);
-    event.respondWith(networkFirst(request, CACHE_NAMES.dynamic));
+// Drop expired entries, then the least recently used over maxEntries
+async function expireEntries(cacheName, options = {}) {
+  const expiration = getExpiration(cacheName, options);
+  const entries = await expirationDbRequest("readonly", (store) =>
+    store.index("cacheName").getAll(cacheName)
+  );
+  const expired = entries.filter((entry) => isExpired(entry, expiration));
+  const kept = entries
+    .filter((entry) => !expired.includes(entry))
+    .sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+  const evicted = expiration.maxEntries
+    ? kept.slice(expiration.maxEntries)
+    : [];
+  if (expired.length || evicted.length) {
+    console.log(
+      `[Service Worker] ${cacheName}: removing ${expired.length} expired and ${evicted.length} least recently used entries`
+    );
+    await deleteEntries([...expired, ...evicted]);
+  }
+}
+
+// Remove entries from their caches and from the expiration database
+async function deleteEntries(entries) {
+  await Promise.all(
+    entries.map(async (entry) => {
+      const cache = await caches.open(entry.cacheName);
+      await cache.delete(entry.url);
+    })
+  );
+  await expirationDbRequest("readwrite", (store) => {
+    entries.forEach((entry) => store.delete(entry.id));
+  });
+}
+
+// Before a write, free the least recently used quarter of runtime
+// entries if storage is over QUOTA_USAGE_LIMIT of the quota
+async function ensureStorageRoom() {
+  if (!navigator.storage || !navigator.storage.estimate) {
     return;
   }
+  const { usage, quota } = await navigator.storage.estimate();
+  if (!quota || usage / quota < QUOTA_USAGE_LIMIT) {
+    return;
+  }
+  const entries = await expirationDbRequest("readonly", (store) =>
+    store.getAll()
+  );
+  const leastRecentlyUsed = entries
+    .sort((a, b) => a.lastUsedAt - b.lastUsedAt)
+    .slice(0, Math.ceil(entries.length / 4));
+  console.warn(
+    `[Service Worker] Storage at ${Math.round((usage / quota) * 100)}% of quota, evicting ${leastRecentlyUsed.length} entries`
+  );
+  await deleteEntries(leastRecentlyUsed);
+}
+
+// Last resort after a QuotaExceededError: drop every recorded runtime
+// entry, keeping the core assets, game data and saved images
+async function purgeRuntimeCaches() {
+  const entries = await expirationDbRequest("readonly", (store) =>
+    store.getAll()
+  );
+  await deleteEntries(entries);
+}
+
+// Forget recorded entries of caches that have been deleted
+async function pruneExpirationEntries(cacheNames) {
+  const entries = await expirationDbRequest("readonly", (store) =>
+    store.getAll()
+  );
+  await expirationDbRequest("readwrite", (store) => {
+    entries
+      .filter((entry) => !cacheNames.includes(entry.cacheName))
+      .forEach((entry) => store.delete(entry.id));
+  });
+}
+
+// The static cache starts as CACHE_NAMES.static, filled on install.
+// applyUpdate() downloads each update into a new cache named after it
+// and switches to that cache only once the download is complete.
+function isStaticCacheName(name) {
+  return (
+    name === CACHE_NAMES.static || name.startsWith(`${CACHE_NAMES.static}-`)
+  );
+}
+
+async function getStaticCacheName() {
+  if (!staticCacheName) {
+    // A saved name from an earlier worker version doesn't apply
+    const saved = await getSetting(STATIC_CACHE_KEY).catch(() => null);
+    staticCacheName =
+      saved && isStaticCacheName(saved.name) ? saved.name : CACHE_NAMES.static;
+  }
+  return staticCacheName;
+}
+
+// Routes name CACHE_NAMES.static; this gives the cache actually in use
+async function resolveCacheName(cacheName) {
+  return cacheName === CACHE_NAMES.static ? getStaticCacheName() : cacheName;
+}
+
+async function getCurrentCacheNames() {
+  return [
+    ...Object.values(CACHE_NAMES).filter((name) => name !== CACHE_NAMES.static),
+    await getStaticCacheName(),
+  ];
+}
+
+// Check one route matcher against a request value
+function matchesValue(expected, actual) {
+  return expected === undefined || [].concat(expected).includes(actual);
+}
+
+function matchesUrlPattern(urlPattern, url, request) {
+  if (urlPattern === undefined) {
+    return true;
+  }
+  if (typeof urlPattern === "function") {
+    return urlPattern(url, request);
+  }
+  return urlPattern.test(url.pathname);
+}
+
+// Find the first route in ROUTES that matches the request
+function findRoute(request, url) {
+  return ROUTES.find(
+    (route) =>
+      matchesValue(route.method ?? "GET", request.method) &&
+      matchesValue(route.mode, request.mode) &&
+      matchesValue(route.destination, request.destination) &&
+      matchesUrlPattern(route.urlPattern, url, request)
+  );
+}
+
+// Fetch handler - picks a strategy from the route table
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  // Log all fetch operations to help with debugging
+  console.log(`[Service Worker] Fetch: ${request.method} ${request.url}`);
 
-  // Default handling for any other GET requests.
-  console.log(`[Service Worker] Default handling: ${request.url}`);
-  event.respondWith(staleWhileRevalidate(request, CACHE_NAMES.dynamic));
+  const route = findRoute(request, url);
+  if (!route) {
+    console.log(
+      `[Service Worker] No route, leaving to browser: ${request.url}`
+    );
+    return;
+  }
+
+  console.log(
+    `[Service Worker] Route "${route.name}" (${route.strategy}): ${request.url}`
+  );
+  const strategy = STRATEGIES[route.strategy];
+  event.respondWith(
+    resolveCacheName(route.cacheName).then((cacheName) =>
+      strategy(request, cacheName, route.options, event)
+    )
+  );
 });
 
 // Listen for online/offline status messages
-self.addEventListener("message", async (event) => {
+self.addEventListener("message", (event) => {
   if (event.data && event.data.type === "NETWORK_STATUS") {
-    console.log(
-      `[Service Worker] Network is now ${
-        event.data.isOnline ? "online" : "offline"
-      }`
+    // Passed on to the other open pages
+    event.waitUntil(setNetworkStatus(event.data.isOnline));
+  } else if (event.data && event.data.type === "CACHE_GAME") {
+    // The page waits on this port to update the entry
+    const [port] = event.ports;
+    event.waitUntil(
+      cacheGameForOffline(event.data.slug).then(
+        () => port.postMessage({ type: "GAME_CACHED" }),
+        (error) => {
+          console.error("[Service Worker] Couldn't cache game:", error);
+          port.postMessage({
+            type: "GAME_CACHE_FAILED",
+            message: error.message,
+          });
+        }
+      )
     );
-  } else if (event.data && event.data.type === "CLEAR_UPDATES") {
-    console.log(
-      "[Service Worker] Received CLEAR_UPDATES message. Deleting ALL caches."
+  } else if (event.data && event.data.type === "CHECK_OFFLINE") {
+    const [port] = event.ports;
+    event.waitUntil(
+      getOfflineSlugs(event.data.slugs).then((slugs) =>
+        port.postMessage({ type: "OFFLINE_SLUGS", slugs })
+      )
     );
+  } else if (event.data && event.data.type === "CHECK_FOR_UPDATES") {
+    console.log("[Service Worker] Received CHECK_FOR_UPDATES message.");
+    event.waitUntil(checkForUpdates());
+  } else if (event.data && event.data.type === "SYNC_FAVORITES") {
+    event.waitUntil(syncFavorites());
+  } else if (event.data && event.data.type === "SHOW_RANDOM_GAME") {
+    event.waitUntil(maybeShowRandomGame());
+  } else if (event.data && event.data.type === "APPLY_UPDATE") {
+    console.log("[Service Worker] Received APPLY_UPDATE message.");
+    // The page waits on this port before reloading
+    const [port] = event.ports;
+    event.waitUntil(
+      applyUpdate().then(
+        () => port.postMessage({ type: "UPDATE_APPLIED" }),
+        (error) => {
+          console.error("[Service Worker] Update failed:", error);
+          port.postMessage({ type: "UPDATE_FAILED", message: error.message });
+        }
+      )
+    );
+  }
+});
 
-    // Get all cache keys
-    const keys = await caches.keys();
-    console.log("[Service Worker] All cache keys to be deleted:", keys);
+function gameImageUrl(slug) {
+  return new URL(
+    `${APP_ROOT}data/img/${encodeURIComponent(slug)}.jpg`,
+    self.location.origin
+  ).href;
+}
 
-    // Delete ALL caches
-    await Promise.all(
-      keys.map((key) => {
-        console.log(`[Service Worker] Deleting cache: ${key}`);
-        return caches.delete(key);
-      })
+// "Make available offline" on an entry: keep its image in the offline
+// cache, which never expires, and cache the game data in case it was
+// never fetched while this worker was running
+async function cacheGameForOffline(slug) {
+  const imageRequest = new Request(gameImageUrl(slug));
+  const response = await trackedFetch(imageRequest);
+  if (!response.ok) {
+    throw new Error(`Image unavailable (status ${response.status})`);
+  }
+  const cache = await caches.open(CACHE_NAMES.offline);
+  await cache.put(imageRequest, response);
+  const dataCache = await caches.open(CACHE_NAMES.data);
+  if (!(await dataCache.match(DATA_ASSETS[0]))) {
+    await dataCache.addAll(DATA_ASSETS);
+  }
+  console.log(`[Service Worker] ${slug} cached for offline`);
+}
+
+// The slugs whose images will still be there offline: precached, favorited
+// or saved. The static cache's other images may expire, so they don't count.
+async function getOfflineSlugs(slugs) {
+  const available = await Promise.all(
+    slugs.map(
+      async (slug) =>
+        CORE_ASSET_URLS.has(gameImageUrl(slug)) ||
+        Boolean(await matchSavedImage(gameImageUrl(slug)))
+    )
+  );
+  return slugs.filter((slug, i) => available[i]);
+}
+
+// Syncs run one after another, so one that read the favorites earlier
+// can't add back an image a later one removed
+let favoritesSync = Promise.resolve();
+
+function syncFavorites() {
+  const sync = favoritesSync.then(cacheFavorites);
+  favoritesSync = sync.catch(() => {});
+  return sync;
+}
+
+// Make the favorites cache hold exactly the favorited games' images. The
+// page keeps each game's entry in IndexedDB (see db.js), so with these
+// the favorites view works fully offline, even for images that aren't in
+// CORE_ASSETS. Images that fail to download are tried again next time.
+async function cacheFavorites() {
+  const favorites = await getFavorites();
+  const wanted = new Set(
+    favorites.map((favorite) => gameImageUrl(favorite.slug))
+  );
+  const cache = await caches.open(CACHE_NAMES.favorites);
+  const cached = new Set((await cache.keys()).map((request) => request.url));
+
+  await Promise.all(
+    [...cached]
+      .filter((url) => !wanted.has(url))
+      .map((url) => cache.delete(url))
+  );
+  await Promise.all(
+    [...wanted]
+      .filter((url) => !cached.has(url))
+      .map((url) =>
+        cache.add(url).catch((error) => {
+          console.warn(
+            `[Service Worker] Couldn't cache favorite ${url}`,
+            error
+          );
+        })
+      )
+  );
+  console.log(`[Service Worker] ${wanted.size} favorites cached for offline`);
+}
+
+// Download the latest core assets into a new static cache, then switch
+// to it. Core assets in the current cache are never overwritten (see
+// staleWhileRevalidate), so if a download or the switch fails it is still
+// whole and the app keeps working offline.
+async function applyUpdate() {
+  const currentName = await getStaticCacheName();
+  const nextName = `${CACHE_NAMES.static}-${Date.now()}`;
+  try {
+    const next = await caches.open(nextName);
+    await next.addAll(
+      CORE_ASSETS.map((asset) => new Request(asset, { cache: "no-cache" }))
     );
-    console.log("[Service Worker] All caches deleted.");
+    console.log("[Service Worker] New version staged in", nextName);
+    await saveSetting(STATIC_CACHE_KEY, { name: nextName });
+  } catch (error) {
+    await caches.delete(nextName);
+    throw error;
   }
-});
+  staticCacheName = nextName;
+  console.log("[Service Worker] Switched static cache to", nextName);
+
+  // Runtime entries of the old cache go with it and are fetched again
+  await caches.delete(currentName);
+  await pruneExpirationEntries(await getCurrentCacheNames());
+}
 
+// Compare every core asset on the network with its cached copy and tell
+// the pages which ones changed. Nothing is sent when nothing changed.
 async function checkForUpdates() {
   try {
-    // Get all clients
-    const clients = await self.clients.matchAll();
+    const cache = await caches.open(await getStaticCacheName());
+    const results = await Promise.all(
+      CORE_ASSETS.map(async (asset) => {
+        const cached = await cache.match(asset);
+        if (!cached) {
+          return null;
+        }
+        const etag = cached.headers.get("ETag");
+        try {
+          // Revalidate rather than trust the HTTP cache
+          const fresh = await fetch(asset, {
+            cache: "no-cache",
+            headers: etag ? { "If-None-Match": etag } : {},
+          });
+          if (fresh.status === 304 || !fresh.ok) {
+            return null;
+          }
+          return (await responsesDiffer(cached, fresh))
+            ? new URL(asset, self.location.origin).href
+            : null;
+        } catch (error) {
+          console.warn(
+            `[Service Worker] Couldn't check ${asset} for updates`,
+            error
+          );
+          return null;
+        }
+      })
+    );
+    const updatedResources = results.filter(Boolean);
+
+    if (updatedResources.length === 0) {
+      console.log("[Service Worker] No updates found");
+      return updatedResources;
+    }
+    console.log("[Service Worker] Updated resources:", updatedResources);
+    await notifyUpdateAvailable(updatedResources);
+    return updatedResources;
+  } catch (error) {
+    console.error("[Service Worker] Error checking for updates:", error);
+    return [];
+  }
+}
+
+// Tell each client which resources changed
+async function notifyUpdateAvailable(updatedResources) {
+  const clients = await self.clients.matchAll();
+  clients.forEach((client) => {
+    client.postMessage({
+      type: "UPDATE_AVAILABLE",
+      updatedResources,
+    });
+  });
+  console.log("[Service Worker] Update notification sent to clients");
+}
+
+// Compare ETags when both responses have one, otherwise body hashes
+async function responsesDiffer(cached, fresh) {
+  const cachedEtag = cached.headers.get("ETag");
+  const freshEtag = fresh.headers.get("ETag");
+  if (cachedEtag && freshEtag) {
+    return cachedEtag !== freshEtag;
+  }
+  const [cachedHash, freshHash] = await Promise.all([
+    hashResponse(cached.clone()),
+    hashResponse(fresh.clone()),
+  ]);
+  return cachedHash !== freshHash;
+}
+
+// SHA-256 of a response body as a hex string
+async function hashResponse(response) {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    await response.arrayBuffer()
+  );
+  return Array.from(new Uint8Array(digest), (byte) =>
+    byte.toString(16).padStart(2, "0")
+  ).join("");
+}
+
+// Periodic background sync - shows random game notifications while the
+// app is closed, where the browser supports it
+self.addEventListener("periodicsync", (event) => {
+  if (event.tag === RANDOM_GAME_SYNC_TAG) {
+    console.log("[Service Worker] Periodic sync:", event.tag);
+    event.waitUntil(maybeShowRandomGame());
+  }
+});
+
+// Push - the push server announces new entries (see
+// push-server/mock-push-server.js for the payload)
+self.addEventListener("push", (event) => {
+  console.log("[Service Worker] Push received");
+  event.waitUntil(showPushNotification(event.data));
+});
+
+// The browser replaced the push subscription, e.g. because it expired.
+// Send the new one to the push server so new entries keep arriving.
+self.addEventListener("pushsubscriptionchange", (event) => {
+  console.log("[Service Worker] Push subscription changed");
+  event.waitUntil(
+    resubscribeToPush(event.oldSubscription, event.newSubscription)
+  );
+});
 
-    // Notify each client about the update
-    clients.forEach((client) => {
-      client.postMessage({
-        type: "UPDATE_AVAILABLE",
+// Notification click - "Stop" turns notifications off, anything else
+// opens the app at the game
+self.addEventListener("notificationclick", (event) => {
+  const { notification } = event;
+  console.log(
+    `[Service Worker] Notification click: ${event.action || "body"}`,
+    notification.data
+  );
+  notification.close();
+  if (event.action === "stop") {
+    event.waitUntil(stopRandomGameNotifications());
+    return;
+  }
+  event.waitUntil(openGame(notification.data && notification.data.slug));
+});
+
+// Show a random game if notifications are on and one is due. The page
+// asks while it's open, and periodic sync asks while it's closed.
+async function maybeShowRandomGame() {
+  const settings = await getSetting(NOTIFICATION_SETTINGS_KEY);
+  if (
+    !settings ||
+    !settings.intervalSeconds ||
+    Notification.permission !== "granted"
+  ) {
+    return;
+  }
+  const now = Date.now();
+  const interval =
+    settings.intervalSeconds * 1000 * NOTIFICATION_INTERVAL_TOLERANCE;
+  if (settings.lastShownAt && now - settings.lastShownAt < interval) {
+    console.log("[Service Worker] Random game notification not due yet");
+    return;
+  }
+
+  const response =
+    (await caches.match(DATA_ASSETS[0])) || (await fetch(DATA_ASSETS[0]));
+  const { games } = await response.json();
+  const game = games[Math.floor(Math.random() * games.length)];
+  const image = gameImageUrl(game.slug);
+  await self.registration.showNotification(game.name, {
+    body: `Created by ${game.author}.`,
+    icon: image,
+    image,
+    // Replaces the previous one rather than piling up
+    tag: RANDOM_GAME_SYNC_TAG,
+    data: { slug: game.slug },
+    actions: [
+      { action: "open", title: "Open entry" },
+      { action: "stop", title: "Stop" },
+    ],
+  });
+  // Only lastShownAt: the interval may have changed while this ran
+  await updateSetting(NOTIFICATION_SETTINGS_KEY, (current) => ({
+    ...current,
+    lastShownAt: now,
+  }));
+  console.log(`[Service Worker] Random game notification: ${game.slug}`);
+}
+
+async function stopRandomGameNotifications() {
+  await updateSetting(NOTIFICATION_SETTINGS_KEY, (settings) => ({
+    ...settings,
+    intervalSeconds: 0,
+  }));
+  if (self.registration.periodicSync) {
+    await self.registration.periodicSync
+      .unregister(RANDOM_GAME_SYNC_TAG)
+      .catch((error) => {
+        console.warn("[Service Worker] Couldn't unregister sync", error);
       });
+  }
+  // Let open pages update their settings
+  const clients = await self.clients.matchAll({ type: "window" });
+  clients.forEach((client) => {
+    client.postMessage({ type: "NOTIFICATION_SETTINGS_CHANGED" });
+  });
+  console.log("[Service Worker] Random game notifications stopped");
+}
+
+async function showPushNotification(data) {
+  let payload;
+  try {
+    payload = data ? data.json() : {};
+  } catch (error) {
+    // Plain text, e.g. typed into DevTools
+    payload = { body: data.text() };
+  }
+
+  if (payload.type !== "new-entry" || !payload.game) {
+    await self.registration.showNotification(payload.title || "js13kPWA", {
+      body: payload.body || "",
+      icon: `${APP_ROOT}icons/icon-168.png`,
     });
+    return;
+  }
 
-    console.log("[Service Worker] Update notification sent to clients");
+  const { game } = payload;
+  // Refresh the catalogue so the new entry is there, even offline
+  try {
+    await networkFirst(new Request(DATA_ASSETS[0]), CACHE_NAMES.data);
   } catch (error) {
-    console.error("[Service Worker] Error checking for updates:", error);
+    console.warn("[Service Worker] Couldn't refresh games", error);
+  }
+  const image = gameImageUrl(game.slug);
+  await self.registration.showNotification(`New entry: ${game.name}`, {
+    body: game.author ? `Created by ${game.author}.` : "",
+    icon: image,
+    image,
+    tag: `new-entry-${game.slug}`,
+    data: { slug: game.slug },
+    actions: [{ action: "open", title: "Open entry" }],
+  });
+  console.log(`[Service Worker] New entry notification: ${game.slug}`);
+}
+
+async function resubscribeToPush(oldSubscription, newSubscription) {
+  const settings = await getSetting(PUSH_SETTINGS_KEY);
+  if (!settings || !settings.serverUrl) {
+    return;
+  }
+  // Browsers don't always pass the new subscription, or even the old one
+  const subscription =
+    newSubscription ||
+    (await self.registration.pushManager.getSubscription()) ||
+    (await self.registration.pushManager.subscribe(
+      oldSubscription
+        ? oldSubscription.options
+        : {
+            userVisibleOnly: true,
+            applicationServerKey: settings.publicKey,
+          }
+    ));
+  const response = await fetch(`${settings.serverUrl}/subscriptions`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      ...subscription.toJSON(),
+      oldEndpoint: oldSubscription && oldSubscription.endpoint,
+    }),
+  });
+  if (!response.ok) {
+    throw new Error(`Push server refused subscription (${response.status})`);
   }
+  console.log("[Service Worker] Push subscription renewed");
+}
+
+// Focus an open window on the game's detail view, or open a new one at
+// it, or at the list when there's no game
+async function openGame(slug) {
+  const windows = await self.clients.matchAll({
+    type: "window",
+    includeUncontrolled: true,
+  });
+  const client = windows.find((windowClient) =>
+    new URL(windowClient.url).pathname.startsWith(APP_ROOT)
+  );
+  if (client) {
+    await client.focus();
+    if (slug) {
+      client.postMessage({ type: "SHOW_GAME", slug });
+    }
+    return;
+  }
+  await self.clients.openWindow(
+    slug ? `${APP_ROOT}#/game/${encodeURIComponent(slug)}` : APP_ROOT
+  );
 }